@@ -17,6 +17,60 @@ import {
     McpError,
     ReadResourceRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
+import { randomBytes } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename, extname } from 'node:path';
+import { createTwoFilesPatch, diffArrays } from 'diff';
+import { marked } from 'marked';
+import { io } from 'socket.io-client';
+import * as Y from 'yjs';
+
+// Client version announced when joining a workspace over the sync socket
+const AFFINE_CLIENT_VERSION = '0.24.0';
+const SYNC_TIMEOUT_MS = 30000;
+// How long to wait for AFFiNE AI to finish streaming an answer; kept under the
+// 60s default MCP request timeout so the session and message IDs get back
+const AI_RESPONSE_TIMEOUT_MS = 45000;
+// Polling interval while waiting for an audio transcription job
+const TRANSCRIPTION_POLL_MS = 5000;
+// MCP clients time requests out after 60s by default; stop waiting well
+// before that so the resumable job ID reaches the caller
+const TRANSCRIPTION_WAIT_SECONDS = 30;
+const TRANSCRIPTION_MAX_WAIT_SECONDS = 45;
+// Docs loaded in parallel and comment pages (of 100) read per doc when
+// scanning a workspace for blob references
+const BLOB_SCAN_CONCURRENCY = 4;
+const BLOB_SCAN_COMMENT_PAGES = 10;
+// Notification pages read per call while looking for ones matching a filter
+const NOTIFICATION_PAGE_BUDGET = 5;
+// TranscriptionResultType fields shared by the transcription queries and mutations
+const TRANSCRIPTION_RESULT_FIELDS = `
+    id
+    status
+    title
+    summary
+    actions
+    transcription {
+        speaker
+        start
+        end
+        transcription
+    }
+`;
+
+// Schema versions of the BlockSuite blocks this server writes
+const BLOCK_VERSIONS = {
+    'affine:page': 2,
+    'affine:surface': 5,
+    'affine:note': 1,
+    'affine:paragraph': 1,
+    'affine:list': 1,
+    'affine:code': 1,
+    'affine:divider': 1,
+    'affine:image': 1,
+    'affine:table': 1,
+    'affine:embed-linked-doc': 1,
+};
 
 class AFFiNEMCPServer {
     constructor() {
@@ -36,6 +90,9 @@ class AFFiNEMCPServer {
             }
         );
 
+        // Copilot context per workspace, reused across semantic searches
+        this.copilotContexts = new Map();
+
         this.validateEnvironment();
         this.setupHandlers();
     }
@@ -94,22 +151,48 @@ class AFFiNEMCPServer {
         this.debugLog('✅ Environment validation passed');
     }
 
-    async makeGraphQLRequest(query, variables = {}) {
+    /**
+     * Run a GraphQL query or mutation. `files` maps variable paths (e.g.
+     * "variables.blob") to `{ data, filename, mimeType }` and switches the
+     * request to the GraphQL multipart upload format.
+     */
+    async makeGraphQLRequest(query, variables = {}, files = null) {
         const requestId = this.generateRequestId();
         this.debugLog(`📤 [${requestId}] Making GraphQL request to: ${this.apiUrl}/graphql`);
         this.debugLog(`📤 [${requestId}] Query:`, { query, variables });
 
         try {
-            const requestBody = JSON.stringify({ query, variables });
-            this.debugLog(`📤 [${requestId}] Request body:`, requestBody);
+            const headers = {
+                'Authorization': `Bearer ${this.accessToken}`,
+                'User-Agent': 'AFFiNE-MCP-Client/1.0.0'
+            };
+            let requestBody;
+
+            if (files) {
+                const uploads = Object.entries(files);
+                requestBody = new FormData();
+                requestBody.append('operations', JSON.stringify({ query, variables }));
+                requestBody.append('map', JSON.stringify(Object.fromEntries(uploads.map(([path], index) => [index, [path]]))));
+                uploads.forEach(([, file], index) => {
+                    requestBody.append(String(index), new Blob([file.data], { type: file.mimeType }), file.filename);
+                });
+                // Multipart posts are CSRF-"simple" requests; this header lets the server accept them
+                headers['apollo-require-preflight'] = 'true';
+                this.debugLog(`📤 [${requestId}] Multipart uploads:`, uploads.map(([path, file]) => ({
+                    path,
+                    filename: file.filename,
+                    mimeType: file.mimeType,
+                    size: file.data.length
+                })));
+            } else {
+                headers['Content-Type'] = 'application/json';
+                requestBody = JSON.stringify({ query, variables });
+                this.debugLog(`📤 [${requestId}] Request body:`, requestBody);
+            }
 
             const response = await fetch(`${this.apiUrl}/graphql`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.accessToken}`,
-                    'User-Agent': 'AFFiNE-MCP-Client/1.0.0'
-                },
+                headers,
                 body: requestBody,
             });
 
@@ -149,6 +232,157 @@ class AFFiNEMCPServer {
         }
     }
 
+    /**
+     * Make an authenticated request against AFFiNE's REST routes
+     * (doc binaries, histories, blobs). Returns the raw fetch Response, or
+     * null for a 404 when `allowNotFound` is set.
+     */
+    async makeRestRequest(path, options = {}) {
+        const requestId = this.generateRequestId();
+        const method = options.method || 'GET';
+        this.debugLog(`📤 [${requestId}] Making REST request: ${method} ${this.apiUrl}${path}`);
+
+        try {
+            const response = await fetch(`${this.apiUrl}${path}`, {
+                method,
+                headers: {
+                    'Authorization': `Bearer ${this.accessToken}`,
+                    'User-Agent': 'AFFiNE-MCP-Client/1.0.0',
+                    ...options.headers
+                },
+                body: options.body,
+                signal: options.signal,
+            });
+
+            this.debugLog(`📥 [${requestId}] Response status: ${response.status} ${response.statusText}`);
+
+            if (response.status === 404 && options.allowNotFound) {
+                this.debugLog(`⚠️ [${requestId}] Resource not found`);
+                return null;
+            }
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                this.debugLog(`❌ [${requestId}] Error response body:`, errorText);
+                throw new Error(`HTTP ${response.status}: ${response.statusText} - ${errorText}`);
+            }
+
+            this.debugLog(`✅ [${requestId}] REST request successful`);
+            return response;
+        } catch (error) {
+            this.debugLog(`❌ [${requestId}] REST request failed:`, {
+                message: error.message,
+                stack: error.stack
+            });
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to request AFFiNE API [${requestId}]: ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Open a socket.io connection to the workspace sync server, join the
+     * workspace space and run the callback with the connected socket
+     */
+    async withWorkspaceSocket(workspaceId, callback) {
+        this.debugLog(`🔌 Connecting to sync server for workspace ${workspaceId}`);
+
+        const socket = io(this.apiUrl, {
+            path: '/socket.io/',
+            transports: ['websocket'],
+            extraHeaders: {
+                'Authorization': `Bearer ${this.accessToken}`,
+                'User-Agent': 'AFFiNE-MCP-Client/1.0.0'
+            },
+            autoConnect: false,
+            reconnection: false,
+        });
+
+        try {
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error('Timed out connecting to sync server')), SYNC_TIMEOUT_MS);
+                socket.once('connect', () => {
+                    clearTimeout(timer);
+                    resolve();
+                });
+                socket.once('connect_error', error => {
+                    clearTimeout(timer);
+                    reject(error);
+                });
+                socket.connect();
+            });
+
+            await this.emitSyncEvent(socket, 'space:join', {
+                spaceType: 'workspace',
+                spaceId: workspaceId,
+                clientVersion: AFFINE_CLIENT_VERSION,
+            });
+            this.debugLog(`✅ Joined workspace ${workspaceId} on sync server`);
+
+            return await callback(socket);
+        } catch (error) {
+            this.debugLog(`❌ Sync with workspace ${workspaceId} failed:`, {
+                message: error.message,
+                stack: error.stack
+            });
+            if (error instanceof McpError) {
+                throw error;
+            }
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to sync with AFFiNE: ${error.message}`
+            );
+        } finally {
+            if (socket.connected) {
+                socket.emit('space:leave', { spaceType: 'workspace', spaceId: workspaceId });
+            }
+            socket.disconnect();
+        }
+    }
+
+    /**
+     * Emit a sync event and unwrap the server's `{ data } | { error }` ack
+     */
+    async emitSyncEvent(socket, event, payload) {
+        this.debugLog(`📤 Sync event ${event} (${payload.docId || payload.spaceId})`);
+        const response = await socket.timeout(SYNC_TIMEOUT_MS).emitWithAck(event, payload);
+        if (response?.error) {
+            throw new Error(`${event} rejected: ${response.error.message || response.error.name || JSON.stringify(response.error)}`);
+        }
+        return response?.data;
+    }
+
+    /**
+     * Push Yjs updates for one or more docs of a workspace
+     */
+    async pushDocUpdates(workspaceId, updates) {
+        return this.withWorkspaceSocket(workspaceId, async (socket) => {
+            for (const { docId, update } of updates) {
+                await this.emitSyncEvent(socket, 'space:push-doc-update', {
+                    spaceType: 'workspace',
+                    spaceId: workspaceId,
+                    docId,
+                    update: Buffer.from(update).toString('base64'),
+                });
+            }
+        });
+    }
+
+    /**
+     * Load a doc, apply local changes and return only the resulting Yjs
+     * update, so pushing it never overwrites concurrent edits
+     */
+    async prepareDocEdit(workspaceId, docId, mutate) {
+        const ydoc = await this.loadDoc(workspaceId, docId);
+        const stateVector = Y.encodeStateVector(ydoc);
+        let result;
+        ydoc.transact(() => {
+            result = mutate(ydoc);
+        });
+        return { docId, ydoc, result, update: Y.encodeStateAsUpdate(ydoc, stateVector) };
+    }
+
     setupHandlers() {
         this.debugLog('🔧 Setting up MCP handlers...');
 
@@ -252,7 +486,7 @@ class AFFiNEMCPServer {
                     },
                     {
                         name: 'get_document',
-                        description: 'Retrieve a specific document by ID',
+                        description: 'Retrieve a specific document by ID, including its content',
                         inputSchema: {
                             type: 'object',
                             properties: {
@@ -264,1195 +498,8825 @@ class AFFiNEMCPServer {
                                     type: 'string',
                                     description: 'Workspace ID containing the document',
                                 },
+                                format: {
+                                    type: 'string',
+                                    enum: ['markdown', 'text', 'json'],
+                                    description: 'Content format: Markdown, plain text with metadata, or the raw block tree as JSON (default: markdown)',
+                                    default: 'markdown',
+                                },
                             },
                             required: ['docId', 'workspaceId'],
                         },
                     },
                     {
-                        name: 'list_workspaces',
-                        description: 'Get all accessible workspaces',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {},
-                        },
-                    },
-                    {
-                        name: 'get_workspace_info',
-                        description: 'Get detailed information about a workspace',
+                        name: 'create_document',
+                        description: 'Create a new document from Markdown',
                         inputSchema: {
                             type: 'object',
                             properties: {
                                 workspaceId: {
                                     type: 'string',
-                                    description: 'Workspace ID to get information for',
+                                    description: 'Workspace ID to create the document in (uses default from AFFINE_WORKSPACE_ID if not provided)',
+                                },
+                                title: {
+                                    type: 'string',
+                                    description: 'Document title',
+                                },
+                                markdown: {
+                                    type: 'string',
+                                    description: 'Document body in Markdown',
+                                },
+                                parentDocId: {
+                                    type: 'string',
+                                    description: 'Optional: Document to link the new document from',
+                                },
+                                folderId: {
+                                    type: 'string',
+                                    description: 'Optional: Folder to place the new document in',
                                 },
                             },
-                            required: ['workspaceId'],
+                            required: ['title'],
                         },
                     },
                     {
-                        name: 'publish_document',
-                        description: 'Publish a document to make it publicly accessible',
+                        name: 'append_to_document',
+                        description: 'Append Markdown content to the end of a document',
                         inputSchema: {
                             type: 'object',
                             properties: {
                                 docId: {
                                     type: 'string',
-                                    description: 'Document ID to publish',
+                                    description: 'Document ID to edit',
                                 },
                                 workspaceId: {
                                     type: 'string',
                                     description: 'Workspace ID containing the document',
                                 },
-                                mode: {
+                                markdown: {
                                     type: 'string',
-                                    enum: ['Page', 'Edgeless'],
-                                    description: 'Publishing mode (default: Page)',
-                                    default: 'Page',
+                                    description: 'Content to append, in Markdown',
                                 },
                             },
-                            required: ['docId', 'workspaceId'],
+                            required: ['docId', 'workspaceId', 'markdown'],
                         },
                     },
                     {
-                        name: 'unpublish_document',
-                        description: 'Revoke public access to a document',
+                        name: 'insert_block_after',
+                        description: 'Insert Markdown content after a specific block',
                         inputSchema: {
                             type: 'object',
                             properties: {
                                 docId: {
                                     type: 'string',
-                                    description: 'Document ID to unpublish',
+                                    description: 'Document ID to edit',
                                 },
                                 workspaceId: {
                                     type: 'string',
                                     description: 'Workspace ID containing the document',
                                 },
+                                blockId: {
+                                    type: 'string',
+                                    description: 'Block ID (from get_document with format "json")',
+                                },
+                                markdown: {
+                                    type: 'string',
+                                    description: 'Content to insert, in Markdown',
+                                },
                             },
-                            required: ['docId', 'workspaceId'],
+                            required: ['docId', 'workspaceId', 'blockId', 'markdown'],
                         },
                     },
                     {
-                        name: 'create_comment',
-                        description: 'Create a comment on a document',
+                        name: 'replace_block',
+                        description: 'Replace a block with Markdown content',
                         inputSchema: {
                             type: 'object',
                             properties: {
                                 docId: {
                                     type: 'string',
-                                    description: 'Document ID to comment on',
+                                    description: 'Document ID to edit',
                                 },
                                 workspaceId: {
                                     type: 'string',
                                     description: 'Workspace ID containing the document',
                                 },
-                                content: {
-                                    type: 'object',
-                                    description: 'Comment content in JSON format',
-                                },
-                                docMode: {
+                                blockId: {
                                     type: 'string',
-                                    enum: ['page', 'edgeless'],
-                                    description: 'Document mode',
-                                    default: 'page',
+                                    description: 'Block ID (from get_document with format "json")',
                                 },
-                                docTitle: {
+                                markdown: {
                                     type: 'string',
-                                    description: 'Document title',
-                                },
-                                mentions: {
-                                    type: 'array',
-                                    items: { type: 'string' },
-                                    description: 'User IDs to mention in the comment',
+                                    description: 'Replacement content, in Markdown',
                                 },
                             },
-                            required: ['docId', 'workspaceId', 'content', 'docTitle'],
+                            required: ['docId', 'workspaceId', 'blockId', 'markdown'],
                         },
                     },
                     {
-                        name: 'get_comments',
-                        description: 'Get comments for a document',
+                        name: 'delete_block',
+                        description: 'Delete a block and its nested blocks from a document',
                         inputSchema: {
                             type: 'object',
                             properties: {
                                 docId: {
                                     type: 'string',
-                                    description: 'Document ID to get comments for',
+                                    description: 'Document ID to edit',
                                 },
                                 workspaceId: {
                                     type: 'string',
                                     description: 'Workspace ID containing the document',
                                 },
-                                limit: {
-                                    type: 'number',
-                                    description: 'Maximum number of comments to return (default: 10)',
-                                    default: 10,
+                                blockId: {
+                                    type: 'string',
+                                    description: 'Block ID (from get_document with format "json")',
                                 },
                             },
-                            required: ['docId', 'workspaceId'],
+                            required: ['docId', 'workspaceId', 'blockId'],
                         },
                     },
                     {
-                        name: 'resolve_comment',
-                        description: 'Resolve or unresolve a comment',
+                        name: 'edit_document_with_instructions',
+                        description: 'Merge proposed changes into a document using AFFiNE AI and apply the result',
                         inputSchema: {
                             type: 'object',
                             properties: {
-                                commentId: {
+                                docId: {
                                     type: 'string',
-                                    description: 'Comment ID to resolve/unresolve',
+                                    description: 'Document ID to edit',
                                 },
-                                resolved: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID containing the document',
+                                },
+                                instructions: {
+                                    type: 'string',
+                                    description: 'Natural-language description of the edit',
+                                },
+                                updates: {
+                                    type: 'string',
+                                    description: 'Proposed changes in Markdown',
+                                },
+                                dryRun: {
                                     type: 'boolean',
-                                    description: 'Whether to resolve (true) or unresolve (false) the comment',
+                                    description: 'Only preview the merged Markdown without changing the document (default: false)',
+                                    default: false,
+                                },
+                                showDiff: {
+                                    type: 'boolean',
+                                    description: 'Include a unified diff against the current content (default: false)',
+                                    default: false,
                                 },
                             },
-                            required: ['commentId', 'resolved'],
+                            required: ['docId', 'workspaceId', 'instructions', 'updates'],
                         },
                     },
                     {
-                        name: 'delete_comment',
-                        description: 'Delete a comment',
+                        name: 'get_document_properties',
+                        description: 'Get a document\'s tags and custom properties as JSON',
                         inputSchema: {
                             type: 'object',
                             properties: {
-                                commentId: {
+                                docId: {
                                     type: 'string',
-                                    description: 'Comment ID to delete',
+                                    description: 'Document ID',
+                                },
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID containing the document',
                                 },
                             },
-                            required: ['commentId'],
+                            required: ['docId', 'workspaceId'],
                         },
                     },
                     {
-                        name: 'advanced_search',
-                        description: 'Perform advanced search with boolean queries, field filters, and aggregations',
+                        name: 'query_database',
+                        description: 'Read a database (table/kanban) block as JSON rows, with optional filters and sorting',
                         inputSchema: {
                             type: 'object',
                             properties: {
-                                workspaceId: {
+                                docId: {
                                     type: 'string',
-                                    description: 'Workspace ID to search in (uses default from AFFINE_WORKSPACE_ID if not provided)',
-                                },
-                                query: {
-                                    type: 'object',
-                                    description: 'Search query object with boolean logic',
-                                    properties: {
-                                        type: {
-                                            type: 'string',
-                                            enum: ['match', 'boolean', 'all'],
-                                            description: 'Query type'
-                                        },
-                                        match: {
-                                            type: 'string',
-                                            description: 'Text to match (for match queries)'
-                                        },
-                                        field: {
-                                            type: 'string',
-                                            description: 'Field to search in'
-                                        },
-                                        queries: {
-                                            type: 'array',
-                                            description: 'Sub-queries for boolean queries'
-                                        },
-                                        occur: {
-                                            type: 'string',
-                                            enum: ['must', 'should', 'must_not'],
-                                            description: 'Boolean query occurrence'
-                                        }
-                                    },
-                                    required: ['type']
+                                    description: 'Document ID containing the database',
                                 },
-                                table: {
+                                workspaceId: {
                                     type: 'string',
-                                    enum: ['doc', 'block'],
-                                    description: 'Table to search (default: doc)',
-                                    default: 'doc'
-                                },
-                                fields: {
-                                    type: 'array',
-                                    items: { type: 'string' },
-                                    description: 'Fields to return in results',
-                                    default: ['title', 'content', 'id']
+                                    description: 'Workspace ID containing the document',
                                 },
-                                limit: {
-                                    type: 'number',
-                                    description: 'Maximum number of results (default: 10)',
-                                    default: 10
+                                blockId: {
+                                    type: 'string',
+                                    description: 'Database block ID (optional if the document has a single database)',
                                 },
-                                highlights: {
+                                filters: {
                                     type: 'array',
-                                    description: 'Fields to highlight in results',
+                                    description: 'Filters that rows must all match',
                                     items: {
                                         type: 'object',
                                         properties: {
-                                            field: { type: 'string' },
-                                            before: { type: 'string' },
-                                            end: { type: 'string' }
-                                        }
+                                            column: { type: 'string', description: 'Column name or ID' },
+                                            op: {
+                                                type: 'string',
+                                                enum: ['eq', 'neq', 'contains', 'gt', 'lt', 'empty', 'not_empty'],
+                                                description: 'Comparison (default: eq)'
+                                            },
+                                            value: { description: 'Value to compare with' }
+                                        },
+                                        required: ['column']
                                     }
-                                }
+                                },
+                                sort: {
+                                    type: 'object',
+                                    description: 'Sort rows by a column',
+                                    properties: {
+                                        column: { type: 'string', description: 'Column name or ID' },
+                                        direction: { type: 'string', enum: ['asc', 'desc'] }
+                                    }
+                                },
+                                limit: {
+                                    type: 'number',
+                                    description: 'Maximum number of rows to return (default: 100)',
+                                    default: 100,
+                                },
                             },
-                            required: ['query']
+                            required: ['docId', 'workspaceId'],
                         },
                     },
                     {
-                        name: 'get_document_history',
-                        description: 'Get version history for a document',
+                        name: 'update_database_row',
+                        description: 'Update cell values of a database row',
                         inputSchema: {
                             type: 'object',
                             properties: {
                                 docId: {
                                     type: 'string',
-                                    description: 'Document ID to get history for',
+                                    description: 'Document ID containing the database',
                                 },
                                 workspaceId: {
                                     type: 'string',
                                     description: 'Workspace ID containing the document',
                                 },
-                                before: {
+                                blockId: {
                                     type: 'string',
-                                    description: 'Get history before this timestamp (ISO 8601)',
+                                    description: 'Database block ID (from query_database)',
                                 },
-                                limit: {
-                                    type: 'number',
-                                    description: 'Maximum number of history entries (default: 10)',
-                                    default: 10,
+                                rowId: {
+                                    type: 'string',
+                                    description: 'Row ID (from query_database)',
+                                },
+                                values: {
+                                    type: 'object',
+                                    description: 'Cell values keyed by column name or ID; select columns take option labels, null clears a cell',
+                                },
+                            },
+                            required: ['docId', 'workspaceId', 'blockId', 'rowId', 'values'],
+                        },
+                    },
+                    {
+                        name: 'get_edgeless_canvas',
+                        description: 'Read a document\'s edgeless whiteboard as shapes, text, connectors, frames and notes',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                docId: {
+                                    type: 'string',
+                                    description: 'Document ID',
+                                },
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID containing the document',
+                                },
+                                format: {
+                                    type: 'string',
+                                    enum: ['json', 'mermaid', 'svg'],
+                                    description: 'Element graph as JSON, a Mermaid flowchart, or an SVG snapshot rendered locally (default: json)',
+                                    default: 'json',
                                 },
                             },
                             required: ['docId', 'workspaceId'],
                         },
                     },
                     {
-                        name: 'list_blobs',
-                        description: 'List files/blobs in a workspace',
+                        name: 'list_workspaces',
+                        description: 'Get all accessible workspaces',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {},
+                        },
+                    },
+                    {
+                        name: 'get_workspace_info',
+                        description: 'Get detailed information about a workspace',
                         inputSchema: {
                             type: 'object',
                             properties: {
                                 workspaceId: {
                                     type: 'string',
-                                    description: 'Workspace ID to list blobs from',
+                                    description: 'Workspace ID to get information for',
                                 },
                             },
                             required: ['workspaceId'],
                         },
                     },
                     {
-                        name: 'delete_blob',
-                        description: 'Delete a file/blob from workspace',
+                        name: 'list_members',
+                        description: 'List the members of a workspace with their roles and invite status',
                         inputSchema: {
                             type: 'object',
                             properties: {
                                 workspaceId: {
                                     type: 'string',
-                                    description: 'Workspace ID containing the blob',
+                                    description: 'Workspace ID',
                                 },
-                                blobKey: {
+                                query: {
                                     type: 'string',
-                                    description: 'Blob key/ID to delete',
+                                    description: 'Optional: Filter members by name or email',
                                 },
-                                permanently: {
-                                    type: 'boolean',
-                                    description: 'Whether to permanently delete (default: false)',
-                                    default: false,
+                                skip: {
+                                    type: 'number',
+                                    default: 0,
+                                    description: 'Number of members to skip (default: 0)',
+                                },
+                                take: {
+                                    type: 'number',
+                                    default: 50,
+                                    description: 'Maximum number of members to return (default: 50)',
                                 },
                             },
-                            required: ['workspaceId', 'blobKey'],
+                            required: ['workspaceId'],
                         },
                     },
                     {
-                        name: 'list_documents',
-                        description: 'List all documents in a workspace with detailed information',
+                        name: 'invite_members',
+                        description: 'Invite people to a workspace by email',
                         inputSchema: {
                             type: 'object',
                             properties: {
                                 workspaceId: {
                                     type: 'string',
-                                    description: 'Workspace ID to list documents from (uses default from AFFINE_WORKSPACE_ID if not provided)',
+                                    description: 'Workspace ID',
                                 },
-                                limit: {
-                                    type: 'number',
-                                    description: 'Maximum number of documents to return (default: 50)',
-                                    default: 50,
+                                emails: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Email addresses to invite',
                                 },
-                                cursor: {
-                                    type: 'string',
-                                    description: 'Pagination cursor for next page',
+                                confirm: {
+                                    type: 'boolean',
+                                    description: 'Must be true to send the invites',
                                 },
                             },
-                            required: [],
+                            required: ['workspaceId', 'emails', 'confirm'],
                         },
                     },
-                ],
-            };
-            
-            this.debugLog(`✅ [${requestId}] ListTools response:`, { toolCount: result.tools.length });
-            return result;
-        });
-
-        // Handle tool calls
-        this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-            const requestId = this.generateRequestId();
-            this.debugLog(`🔧 [${requestId}] CallTool request:`, request);
-
-            try {
-                const { name, arguments: args } = request.params;
-                this.debugLog(`🔧 [${requestId}] Calling tool: ${name}`, args);
-
-                const toolHandlers = {
-                    'search_documents': () => this.searchDocuments(args.query, args.workspaceId || this.workspaceId, args.limit),
-                    'get_document': () => this.getDocument(args.docId, args.workspaceId || this.workspaceId),
-                    'list_workspaces': () => this.listWorkspaces(),
-                    'get_workspace_info': () => this.getWorkspaceInfo(args.workspaceId || this.workspaceId),
-                    'publish_document': () => this.publishDocument(args.docId, args.workspaceId || this.workspaceId, args.mode),
-                    'unpublish_document': () => this.unpublishDocument(args.docId, args.workspaceId || this.workspaceId),
-                    'create_comment': () => this.createComment(args.docId, args.workspaceId || this.workspaceId, args.content, args.docMode, args.docTitle, args.mentions),
-                    'get_comments': () => this.getComments(args.docId, args.workspaceId || this.workspaceId, args.limit),
-                    'resolve_comment': () => this.resolveComment(args.commentId, args.resolved),
-                    'delete_comment': () => this.deleteComment(args.commentId),
-                    'advanced_search': () => this.advancedSearch(args.workspaceId || this.workspaceId, args.query, args.table, args.fields, args.limit, args.highlights),
-                    'get_document_history': () => this.getDocumentHistory(args.docId, args.workspaceId || this.workspaceId, args.before, args.limit),
-                    'list_blobs': () => this.listBlobs(args.workspaceId || this.workspaceId),
-                    'delete_blob': () => this.deleteBlob(args.workspaceId || this.workspaceId, args.blobKey, args.permanently),
-                    'list_documents': () => this.listDocuments(args.workspaceId || this.workspaceId, args.limit, args.cursor)
-                };
-
-                const handler = toolHandlers[name];
-                if (!handler) {
-                    throw new McpError(
-                        ErrorCode.MethodNotFound,
-                        `Unknown tool: ${name}`
-                    );
-                }
-
-                const result = await handler();
-                this.debugLog(`✅ [${requestId}] CallTool response for ${name}:`, { contentCount: result.content?.length });
-                return result;
-            } catch (error) {
-                this.debugLog(`❌ [${requestId}] CallTool error:`, { message: error.message, stack: error.stack });
-                throw error;
-            }
-        });
-
-        this.debugLog('✅ MCP handlers setup complete');
-    }
-
-    async handleAFFiNEResource(url) {
-        // Handle different URI formats:
-        // affine://workspace/{workspaceId}
-        // affine://workspace/{workspaceId}/docs  
-        // affine://search
-        
-        const hostname = url.hostname;
-        const pathParts = url.pathname.split('/').filter(Boolean);
-        
-        this.debugLog(`🔍 Parsing AFFiNE resource:`, {
-            hostname,
-            pathname: url.pathname,
-            pathParts,
-            fullUrl: url.toString()
-        });
-
-        // Check if this is a workspace resource
-        if (hostname === 'workspace' && pathParts.length > 0) {
-            const workspaceId = pathParts[0]; // Extract workspace ID from path
-            
-            if (pathParts.length > 1 && pathParts[1] === 'docs') {
-                // List documents in workspace: affine://workspace/{workspaceId}/docs
-                this.debugLog(`📑 Fetching documents for workspace: ${workspaceId}`);
-                const docs = await this.getWorkspaceDocs(workspaceId);
-                return {
-                    contents: [
-                        {
-                            uri: url.toString(),
-                            mimeType: 'application/json',
-                            text: JSON.stringify(docs, null, 2),
-                        },
-                    ],
-                };
-            } else {
-                // Get workspace info: affine://workspace/{workspaceId}
-                this.debugLog(`🏢 Fetching workspace info for: ${workspaceId}`);
-                try {
-                    const workspace = await this.getWorkspaceInfo(workspaceId);
-                    return {
-                        contents: [
-                            {
-                                uri: url.toString(),
-                                mimeType: 'application/json',
-                                text: JSON.stringify(workspace, null, 2),
+                    {
+                        name: 'remove_member',
+                        description: 'Remove a member from a workspace',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID',
+                                },
+                                userId: {
+                                    type: 'string',
+                                    description: 'User ID of the member to remove',
+                                },
+                                confirm: {
+                                    type: 'boolean',
+                                    description: 'Must be true to remove the member',
+                                },
                             },
-                        ],
-                    };
-                } catch (error) {
-                    this.debugLog(`⚠️ Workspace info failed, trying to list documents instead`);
-                    // If workspace info fails, try to list documents as fallback
-                    try {
-                        const docs = await this.getWorkspaceDocs(workspaceId);
-                        return {
-                            contents: [
-                                {
-                                    uri: url.toString(),
-                                    mimeType: 'application/json',
-                                    text: JSON.stringify({
-                                        error: 'Could not access workspace info, but found documents:',
-                                        workspaceId,
-                                        documents: docs
-                                    }, null, 2),
+                            required: ['workspaceId', 'userId', 'confirm'],
+                        },
+                    },
+                    {
+                        name: 'change_member_role',
+                        description: 'Change the role of a workspace member',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID',
                                 },
-                            ],
-                        };
-                    } catch (docsError) {
-                        // If both fail, throw the original error
-                        throw error;
-                    }
-                }
-            }
-        } else if (hostname === 'search') {
-            // Handle search: affine://search?q=query
-            this.debugLog(`🔍 Handling search request`);
-            const searchParams = new URLSearchParams(url.search);
-            const query = searchParams.get('q') || '';
-            
-            if (!query.trim()) {
-                // If no search query provided, return empty results with explanation
-                return {
-                    contents: [
-                        {
-                            uri: url.toString(),
-                            mimeType: 'application/json',
-                            text: JSON.stringify({
-                                message: 'No search query provided. Use ?q=your-search-term to search documents.',
-                                example: 'affine://search?q=meeting notes'
-                            }, null, 2),
+                                userId: {
+                                    type: 'string',
+                                    description: 'User ID of the member',
+                                },
+                                role: {
+                                    type: 'string',
+                                    enum: ['Admin', 'Collaborator', 'External'],
+                                    description: 'New role (use transfer_workspace_ownership to make someone Owner)',
+                                },
+                                confirm: {
+                                    type: 'boolean',
+                                    description: 'Must be true to change the role',
+                                },
+                            },
+                            required: ['workspaceId', 'userId', 'role', 'confirm'],
                         },
-                    ],
-                };
-            }
-            
-            const results = await this.searchDocuments(query);
-            return {
-                contents: [
+                    },
                     {
-                        uri: url.toString(),
-                        mimeType: 'application/json',
-                        text: JSON.stringify(results, null, 2),
+                        name: 'transfer_workspace_ownership',
+                        description: 'Transfer ownership of a workspace to another member; the current owner loses ownership',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID',
+                                },
+                                userId: {
+                                    type: 'string',
+                                    description: 'User ID of the member who becomes the owner',
+                                },
+                                confirmTransfer: {
+                                    type: 'boolean',
+                                    description: 'Must be true to transfer ownership away from the current owner',
+                                },
+                            },
+                            required: ['workspaceId', 'userId', 'confirmTransfer'],
+                        },
                     },
-                ],
-            };
-        }
-
-        throw new McpError(
-            ErrorCode.InvalidRequest,
+                    {
+                        name: 'approve_member',
+                        description: 'Approve a pending request to join a workspace',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID',
+                                },
+                                userId: {
+                                    type: 'string',
+                                    description: 'User ID of the member to approve',
+                                },
+                                confirm: {
+                                    type: 'boolean',
+                                    description: 'Must be true to approve the member',
+                                },
+                            },
+                            required: ['workspaceId', 'userId', 'confirm'],
+                        },
+                    },
+                    {
+                        name: 'get_invite_link',
+                        description: 'Get the active invite link of a workspace',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID',
+                                },
+                            },
+                            required: ['workspaceId'],
+                        },
+                    },
+                    {
+                        name: 'create_invite_link',
+                        description: 'Create a workspace invite link (replaces any existing link)',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID',
+                                },
+                                expireTime: {
+                                    type: 'string',
+                                    enum: ['OneDay', 'ThreeDays', 'OneWeek', 'OneMonth'],
+                                    default: 'OneWeek',
+                                    description: 'How long the link stays valid (default: OneWeek)',
+                                },
+                                confirm: {
+                                    type: 'boolean',
+                                    description: 'Must be true to create the link',
+                                },
+                            },
+                            required: ['workspaceId', 'confirm'],
+                        },
+                    },
+                    {
+                        name: 'revoke_invite_link',
+                        description: 'Revoke the invite link of a workspace',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID',
+                                },
+                                confirm: {
+                                    type: 'boolean',
+                                    description: 'Must be true to revoke the link',
+                                },
+                            },
+                            required: ['workspaceId', 'confirm'],
+                        },
+                    },
+                    {
+                        name: 'list_notifications',
+                        description: 'List your AFFiNE notifications (mentions, comment activity, invitations), newest first',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                limit: {
+                                    type: 'number',
+                                    description: 'Maximum number of notifications to return (default: 20)',
+                                    default: 20,
+                                },
+                                cursor: {
+                                    type: 'string',
+                                    description: 'Pagination cursor from a previous call',
+                                },
+                                types: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'string',
+                                        enum: ['mention', 'comment', 'invitation'],
+                                    },
+                                    description: 'Optional: Only show these kinds of notifications',
+                                },
+                                unreadOnly: {
+                                    type: 'boolean',
+                                    description: 'Only show unread notifications (default: false)',
+                                    default: false,
+                                },
+                            },
+                        },
+                    },
+                    {
+                        name: 'mark_notification_read',
+                        description: 'Mark a notification as read',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                notificationId: {
+                                    type: 'string',
+                                    description: 'Notification ID to mark as read',
+                                },
+                            },
+                            required: ['notificationId'],
+                        },
+                    },
+                    {
+                        name: 'mark_all_notifications_read',
+                        description: 'Mark all notifications as read',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {},
+                        },
+                    },
+                    {
+                        name: 'publish_document',
+                        description: 'Publish a document to make it publicly accessible',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                docId: {
+                                    type: 'string',
+                                    description: 'Document ID to publish',
+                                },
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID containing the document',
+                                },
+                                mode: {
+                                    type: 'string',
+                                    enum: ['Page', 'Edgeless'],
+                                    description: 'Publishing mode (default: Page)',
+                                    default: 'Page',
+                                },
+                            },
+                            required: ['docId', 'workspaceId'],
+                        },
+                    },
+                    {
+                        name: 'unpublish_document',
+                        description: 'Revoke public access to a document',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                docId: {
+                                    type: 'string',
+                                    description: 'Document ID to unpublish',
+                                },
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID containing the document',
+                                },
+                            },
+                            required: ['docId', 'workspaceId'],
+                        },
+                    },
+                    {
+                        name: 'audit_public_documents',
+                        description: 'List every published document of a workspace with mode, last editor and last update, flag stale or changed ones, and optionally unpublish a selected set',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID to audit',
+                                },
+                                staleDays: {
+                                    type: 'number',
+                                    description: 'Flag published documents not updated for this many days (default: 180)',
+                                    default: 180,
+                                },
+                                previousAudit: {
+                                    type: 'string',
+                                    description: 'Audit token from a previous run, to flag documents published or updated since then',
+                                },
+                                unpublishDocIds: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Optional: Document IDs to unpublish before reporting',
+                                },
+                                confirm: {
+                                    type: 'boolean',
+                                    description: 'Must be true when unpublishDocIds is given',
+                                },
+                            },
+                            required: ['workspaceId'],
+                        },
+                    },
+                    {
+                        name: 'get_document_access',
+                        description: 'Report who can access a document: public link, default role and users with explicit roles',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                docId: {
+                                    type: 'string',
+                                    description: 'Document ID',
+                                },
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID containing the document',
+                                },
+                            },
+                            required: ['docId', 'workspaceId'],
+                        },
+                    },
+                    {
+                        name: 'grant_document_role',
+                        description: 'Grant a role on a document to one or more users',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                docId: {
+                                    type: 'string',
+                                    description: 'Document ID',
+                                },
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID containing the document',
+                                },
+                                userIds: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'User IDs to grant the role to',
+                                },
+                                role: {
+                                    type: 'string',
+                                    enum: ['Owner', 'Manager', 'Editor', 'Commenter', 'Reader', 'External'],
+                                    description: 'Role to grant (Owner transfers document ownership)',
+                                },
+                                confirm: {
+                                    type: 'boolean',
+                                    description: 'Must be true to grant the Owner role',
+                                },
+                            },
+                            required: ['docId', 'workspaceId', 'userIds', 'role'],
+                        },
+                    },
+                    {
+                        name: 'update_document_user_role',
+                        description: 'Change the role of a user who already has a role on a document',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                docId: {
+                                    type: 'string',
+                                    description: 'Document ID',
+                                },
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID containing the document',
+                                },
+                                userId: {
+                                    type: 'string',
+                                    description: 'User ID',
+                                },
+                                role: {
+                                    type: 'string',
+                                    enum: ['Owner', 'Manager', 'Editor', 'Commenter', 'Reader', 'External'],
+                                    description: 'New role (Owner transfers document ownership)',
+                                },
+                                confirm: {
+                                    type: 'boolean',
+                                    description: 'Must be true to change the role',
+                                },
+                            },
+                            required: ['docId', 'workspaceId', 'userId', 'role', 'confirm'],
+                        },
+                    },
+                    {
+                        name: 'revoke_document_role',
+                        description: 'Revoke the explicit role of a user on a document',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                docId: {
+                                    type: 'string',
+                                    description: 'Document ID',
+                                },
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID containing the document',
+                                },
+                                userId: {
+                                    type: 'string',
+                                    description: 'User ID',
+                                },
+                                confirm: {
+                                    type: 'boolean',
+                                    description: 'Must be true to revoke the role',
+                                },
+                            },
+                            required: ['docId', 'workspaceId', 'userId', 'confirm'],
+                        },
+                    },
+                    {
+                        name: 'set_document_default_role',
+                        description: 'Set the role workspace members get on a document when they have no explicit role',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                docId: {
+                                    type: 'string',
+                                    description: 'Document ID',
+                                },
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID containing the document',
+                                },
+                                role: {
+                                    type: 'string',
+                                    enum: ['Manager', 'Editor', 'Commenter', 'Reader', 'None'],
+                                    description: 'Default role (None hides the document from other members)',
+                                },
+                                confirm: {
+                                    type: 'boolean',
+                                    description: 'Must be true to change the default role',
+                                },
+                            },
+                            required: ['docId', 'workspaceId', 'role', 'confirm'],
+                        },
+                    },
+                    {
+                        name: 'create_comment',
+                        description: 'Create a comment on a document',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                docId: {
+                                    type: 'string',
+                                    description: 'Document ID to comment on',
+                                },
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID containing the document',
+                                },
+                                text: {
+                                    type: 'string',
+                                    description: 'Comment as plain text. "@Name" or "@email" mentions of workspace members are resolved automatically',
+                                },
+                                markdown: {
+                                    type: 'string',
+                                    description: 'Comment as Markdown (same mention handling as text)',
+                                },
+                                content: {
+                                    type: 'object',
+                                    description: 'Raw comment content JSON (advanced; use text or markdown instead)',
+                                },
+                                docMode: {
+                                    type: 'string',
+                                    enum: ['page', 'edgeless'],
+                                    description: 'Document mode',
+                                    default: 'page',
+                                },
+                                docTitle: {
+                                    type: 'string',
+                                    description: 'Document title (default: fetched from the server)',
+                                },
+                                blockId: {
+                                    type: 'string',
+                                    description: 'Optional: Block ID to anchor the comment to (from get_document with format "json")',
+                                },
+                                quote: {
+                                    type: 'string',
+                                    description: 'Optional: Exact text inside the block to anchor the comment to (first occurrence)',
+                                },
+                                range: {
+                                    type: 'object',
+                                    description: 'Optional: Character offsets inside the block text to anchor the comment to (alternative to quote)',
+                                    properties: {
+                                        start: { type: 'number' },
+                                        end: { type: 'number' },
+                                    },
+                                    required: ['start', 'end'],
+                                },
+                                mentions: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Additional user IDs to mention in the comment',
+                                },
+                            },
+                            required: ['docId', 'workspaceId'],
+                        },
+                    },
+                    {
+                        name: 'get_comments',
+                        description: 'Get comment threads (comments with their replies) for a document',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                docId: {
+                                    type: 'string',
+                                    description: 'Document ID to get comments for',
+                                },
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID containing the document',
+                                },
+                                limit: {
+                                    type: 'number',
+                                    description: 'Maximum number of comment threads to return (default: 10)',
+                                    default: 10,
+                                },
+                                cursor: {
+                                    type: 'string',
+                                    description: 'Pagination cursor from a previous call',
+                                },
+                            },
+                            required: ['docId', 'workspaceId'],
+                        },
+                    },
+                    {
+                        name: 'resolve_comment',
+                        description: 'Resolve or unresolve a comment',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                commentId: {
+                                    type: 'string',
+                                    description: 'Comment ID to resolve/unresolve',
+                                },
+                                resolved: {
+                                    type: 'boolean',
+                                    description: 'Whether to resolve (true) or unresolve (false) the comment',
+                                },
+                            },
+                            required: ['commentId', 'resolved'],
+                        },
+                    },
+                    {
+                        name: 'delete_comment',
+                        description: 'Delete a comment',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                commentId: {
+                                    type: 'string',
+                                    description: 'Comment ID to delete',
+                                },
+                            },
+                            required: ['commentId'],
+                        },
+                    },
+                    {
+                        name: 'update_comment',
+                        description: 'Edit the content of a comment',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                commentId: {
+                                    type: 'string',
+                                    description: 'Comment ID to update',
+                                },
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID used to resolve mentions',
+                                },
+                                text: {
+                                    type: 'string',
+                                    description: 'New comment as plain text. "@Name" or "@email" mentions of workspace members are resolved automatically',
+                                },
+                                markdown: {
+                                    type: 'string',
+                                    description: 'New comment as Markdown (same mention handling as text)',
+                                },
+                                content: {
+                                    type: 'object',
+                                    description: 'Raw comment content JSON (advanced; use text or markdown instead)',
+                                },
+                            },
+                            required: ['commentId'],
+                        },
+                    },
+                    {
+                        name: 'reply_to_comment',
+                        description: 'Reply to a comment thread',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                commentId: {
+                                    type: 'string',
+                                    description: 'Comment ID to reply to',
+                                },
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID containing the document',
+                                },
+                                docId: {
+                                    type: 'string',
+                                    description: 'Document ID the comment belongs to (used to fetch the title if docTitle is omitted)',
+                                },
+                                text: {
+                                    type: 'string',
+                                    description: 'Reply as plain text. "@Name" or "@email" mentions of workspace members are resolved automatically',
+                                },
+                                markdown: {
+                                    type: 'string',
+                                    description: 'Reply as Markdown (same mention handling as text)',
+                                },
+                                content: {
+                                    type: 'object',
+                                    description: 'Raw reply content JSON (advanced; use text or markdown instead)',
+                                },
+                                docMode: {
+                                    type: 'string',
+                                    enum: ['page', 'edgeless'],
+                                    description: 'Document mode',
+                                    default: 'page',
+                                },
+                                docTitle: {
+                                    type: 'string',
+                                    description: 'Document title (default: fetched using docId)',
+                                },
+                                mentions: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Additional user IDs to mention in the reply',
+                                },
+                            },
+                            required: ['commentId'],
+                        },
+                    },
+                    {
+                        name: 'update_reply',
+                        description: 'Edit the content of a reply',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                replyId: {
+                                    type: 'string',
+                                    description: 'Reply ID to update',
+                                },
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID used to resolve mentions',
+                                },
+                                text: {
+                                    type: 'string',
+                                    description: 'New reply as plain text. "@Name" or "@email" mentions of workspace members are resolved automatically',
+                                },
+                                markdown: {
+                                    type: 'string',
+                                    description: 'New reply as Markdown (same mention handling as text)',
+                                },
+                                content: {
+                                    type: 'object',
+                                    description: 'Raw reply content JSON (advanced; use text or markdown instead)',
+                                },
+                            },
+                            required: ['replyId'],
+                        },
+                    },
+                    {
+                        name: 'delete_reply',
+                        description: 'Delete a reply',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                replyId: {
+                                    type: 'string',
+                                    description: 'Reply ID to delete',
+                                },
+                            },
+                            required: ['replyId'],
+                        },
+                    },
+                    {
+                        name: 'get_comment_changes',
+                        description: 'Get new, updated and deleted comments and replies on a document since a stored cursor',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                docId: {
+                                    type: 'string',
+                                    description: 'Document ID to get comment changes for',
+                                },
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID containing the document',
+                                },
+                                cursor: {
+                                    type: 'string',
+                                    description: 'Cursor returned by a previous call; omit to start from the beginning',
+                                },
+                                limit: {
+                                    type: 'number',
+                                    description: 'Maximum number of changes to return (default: 50)',
+                                    default: 50,
+                                },
+                            },
+                            required: ['docId', 'workspaceId'],
+                        },
+                    },
+                    {
+                        name: 'get_workspace_comment_changes',
+                        description: 'Get comment changes across recently updated documents of a workspace since a stored cursor',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID to poll',
+                                },
+                                cursor: {
+                                    type: 'string',
+                                    description: 'Cursor returned by a previous call',
+                                },
+                                since: {
+                                    type: 'string',
+                                    description: 'ISO date to start from on the first call, without a cursor (default: 7 days ago)',
+                                },
+                                docLimit: {
+                                    type: 'number',
+                                    description: 'Maximum number of documents to check per call (default: 20)',
+                                    default: 20,
+                                },
+                            },
+                            required: ['workspaceId'],
+                        },
+                    },
+                    {
+                        name: 'advanced_search',
+                        description: 'Perform advanced search with boolean queries, field filters, and aggregations',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID to search in (uses default from AFFINE_WORKSPACE_ID if not provided)',
+                                },
+                                query: {
+                                    type: 'object',
+                                    description: 'Search query object with boolean logic',
+                                    properties: {
+                                        type: {
+                                            type: 'string',
+                                            enum: ['match', 'boolean', 'all'],
+                                            description: 'Query type'
+                                        },
+                                        match: {
+                                            type: 'string',
+                                            description: 'Text to match (for match queries)'
+                                        },
+                                        field: {
+                                            type: 'string',
+                                            description: 'Field to search in'
+                                        },
+                                        queries: {
+                                            type: 'array',
+                                            description: 'Sub-queries for boolean queries'
+                                        },
+                                        occur: {
+                                            type: 'string',
+                                            enum: ['must', 'should', 'must_not'],
+                                            description: 'Boolean query occurrence'
+                                        }
+                                    },
+                                    required: ['type']
+                                },
+                                table: {
+                                    type: 'string',
+                                    enum: ['doc', 'block'],
+                                    description: 'Table to search (default: doc)',
+                                    default: 'doc'
+                                },
+                                fields: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Fields to return in results',
+                                    default: ['title', 'content', 'id']
+                                },
+                                limit: {
+                                    type: 'number',
+                                    description: 'Maximum number of results (default: 10)',
+                                    default: 10
+                                },
+                                after: {
+                                    type: 'string',
+                                    description: 'Cursor from a previous call to fetch the next page of results'
+                                },
+                                highlights: {
+                                    type: 'array',
+                                    description: 'Fields to highlight in results',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            field: { type: 'string' },
+                                            before: { type: 'string' },
+                                            end: { type: 'string' }
+                                        }
+                                    }
+                                }
+                            },
+                            required: ['query']
+                        },
+                    },
+                    {
+                        name: 'aggregate_search',
+                        description: 'Group search hits by a field (default: docId) with counts and top hits per group, e.g. which documents mention a term and where',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID to search in (uses default from AFFINE_WORKSPACE_ID if not provided)',
+                                },
+                                query: {
+                                    type: 'object',
+                                    description: 'Search query object with boolean logic',
+                                    properties: {
+                                        type: {
+                                            type: 'string',
+                                            enum: ['match', 'boolean', 'all'],
+                                            description: 'Query type'
+                                        },
+                                        match: {
+                                            type: 'string',
+                                            description: 'Text to match (for match queries)'
+                                        },
+                                        field: {
+                                            type: 'string',
+                                            description: 'Field to search in'
+                                        },
+                                        queries: {
+                                            type: 'array',
+                                            description: 'Sub-queries for boolean queries'
+                                        },
+                                        occur: {
+                                            type: 'string',
+                                            enum: ['must', 'should', 'must_not'],
+                                            description: 'Boolean query occurrence'
+                                        }
+                                    },
+                                    required: ['type']
+                                },
+                                field: {
+                                    type: 'string',
+                                    description: 'Field to group hits by (default: docId)',
+                                    default: 'docId'
+                                },
+                                table: {
+                                    type: 'string',
+                                    enum: ['doc', 'block'],
+                                    description: 'Table to search (default: block)',
+                                    default: 'block'
+                                },
+                                hitFields: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Fields to return for each top hit',
+                                    default: ['blockId', 'flavour', 'content']
+                                },
+                                hitsPerGroup: {
+                                    type: 'number',
+                                    description: 'Number of top hits to return per group (default: 3)',
+                                    default: 3
+                                },
+                                limit: {
+                                    type: 'number',
+                                    description: 'Maximum number of groups (default: 20)',
+                                    default: 20
+                                },
+                                after: {
+                                    type: 'string',
+                                    description: 'Cursor from a previous call to fetch the next page of groups'
+                                },
+                                highlights: {
+                                    type: 'array',
+                                    description: 'Fields to highlight in the top hits',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            field: { type: 'string' },
+                                            before: { type: 'string' },
+                                            end: { type: 'string' }
+                                        }
+                                    }
+                                }
+                            },
+                            required: ['query']
+                        },
+                    },
+                    {
+                        name: 'semantic_search',
+                        description: 'Search documents by meaning using the workspace embeddings (AFFiNE AI); returns ranked chunks with similarity scores',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID to search in',
+                                },
+                                query: {
+                                    type: 'string',
+                                    description: 'Natural language query',
+                                },
+                                limit: {
+                                    type: 'number',
+                                    description: 'Maximum number of chunks to return (default: 10)',
+                                    default: 10,
+                                },
+                                threshold: {
+                                    type: 'number',
+                                    description: 'Optional: Maximum embedding distance of a match (lower is stricter)',
+                                },
+                                includeFiles: {
+                                    type: 'boolean',
+                                    description: 'Also match workspace files uploaded for AI (default: false)',
+                                    default: false,
+                                },
+                            },
+                            required: ['workspaceId', 'query'],
+                        },
+                    },
+                    {
+                        name: 'get_embedding_status',
+                        description: 'Report AI indexing progress (embedded/total), ignored documents and reference files of a workspace',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID',
+                                },
+                            },
+                            required: ['workspaceId'],
+                        },
+                    },
+                    {
+                        name: 'queue_embedding',
+                        description: 'Queue documents for (re-)embedding; defaults to the documents updated recently',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID',
+                                },
+                                docIds: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Optional: Document IDs to queue',
+                                },
+                                updatedSinceDays: {
+                                    type: 'number',
+                                    description: 'Without docIds, queue documents updated in this many days (default: 7)',
+                                    default: 7,
+                                },
+                            },
+                            required: ['workspaceId'],
+                        },
+                    },
+                    {
+                        name: 'update_embedding_ignored_docs',
+                        description: 'Exclude documents from AI indexing, or include them again',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID',
+                                },
+                                add: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Document IDs to exclude from AI indexing',
+                                },
+                                remove: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Document IDs to include in AI indexing again',
+                                },
+                            },
+                            required: ['workspaceId'],
+                        },
+                    },
+                    {
+                        name: 'add_embedding_file',
+                        description: 'Attach a reference file for AI to a workspace, from a local path or base64 data',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID',
+                                },
+                                filePath: {
+                                    type: 'string',
+                                    description: 'Local path of the file to upload',
+                                },
+                                base64: {
+                                    type: 'string',
+                                    description: 'File content as base64 (alternative to filePath)',
+                                },
+                                filename: {
+                                    type: 'string',
+                                    description: 'File name (default: taken from filePath)',
+                                },
+                                mimeType: {
+                                    type: 'string',
+                                    description: 'MIME type (default: guessed from the file name)',
+                                },
+                            },
+                            required: ['workspaceId'],
+                        },
+                    },
+                    {
+                        name: 'remove_embedding_file',
+                        description: 'Remove a reference file for AI from a workspace',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID',
+                                },
+                                fileId: {
+                                    type: 'string',
+                                    description: 'File ID from get_embedding_status',
+                                },
+                            },
+                            required: ['workspaceId', 'fileId'],
+                        },
+                    },
+                    {
+                        name: 'start_ai_chat',
+                        description: 'Start an AFFiNE AI chat session, optionally bound to a document and with documents, tags or collections as context',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID',
+                                },
+                                docId: {
+                                    type: 'string',
+                                    description: 'Optional: Document the chat is about',
+                                },
+                                promptName: {
+                                    type: 'string',
+                                    description: 'AFFiNE prompt to use (default: Chat With AFFiNE AI)',
+                                    default: 'Chat With AFFiNE AI',
+                                },
+                                docIds: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Document IDs to add to the chat context',
+                                },
+                                tagIds: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Tag IDs whose documents to add to the chat context',
+                                },
+                                collectionIds: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Collection IDs to add to the chat context',
+                                },
+                                pinned: {
+                                    type: 'boolean',
+                                    description: 'Pin the session in AFFiNE (default: false)',
+                                    default: false,
+                                },
+                            },
+                            required: ['workspaceId'],
+                        },
+                    },
+                    {
+                        name: 'add_ai_chat_context',
+                        description: 'Attach documents, tags, collections or a file to an AI chat session',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID',
+                                },
+                                sessionId: {
+                                    type: 'string',
+                                    description: 'Chat session ID',
+                                },
+                                docIds: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Document IDs to add to the chat context',
+                                },
+                                tagIds: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Tag IDs whose documents to add to the chat context',
+                                },
+                                collectionIds: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Collection IDs to add to the chat context',
+                                },
+                                filePath: {
+                                    type: 'string',
+                                    description: 'Local path of a file to attach',
+                                },
+                                base64: {
+                                    type: 'string',
+                                    description: 'File content as base64 (alternative to filePath)',
+                                },
+                                filename: {
+                                    type: 'string',
+                                    description: 'File name (default: taken from filePath)',
+                                },
+                                mimeType: {
+                                    type: 'string',
+                                    description: 'MIME type (default: guessed from the file name)',
+                                },
+                            },
+                            required: ['workspaceId', 'sessionId'],
+                        },
+                    },
+                    {
+                        name: 'send_ai_message',
+                        description: 'Send a message to an AI chat session and return the answer (checks the AI quota first)',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID',
+                                },
+                                sessionId: {
+                                    type: 'string',
+                                    description: 'Chat session ID',
+                                },
+                                content: {
+                                    type: 'string',
+                                    description: 'Message to send',
+                                },
+                                attachments: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Optional: Image URLs to attach',
+                                },
+                            },
+                            required: ['workspaceId', 'sessionId', 'content'],
+                        },
+                    },
+                    {
+                        name: 'list_ai_chats',
+                        description: 'List past AI chat sessions and the remaining AI quota',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID',
+                                },
+                                docId: {
+                                    type: 'string',
+                                    description: 'Optional: Only list sessions bound to this document',
+                                },
+                                limit: {
+                                    type: 'number',
+                                    description: 'Maximum number of sessions to return (default: 10)',
+                                    default: 10,
+                                },
+                                cursor: {
+                                    type: 'string',
+                                    description: 'Pagination cursor from a previous call',
+                                },
+                            },
+                            required: ['workspaceId'],
+                        },
+                    },
+                    {
+                        name: 'get_ai_chat',
+                        description: 'Read the messages of an AI chat session',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID',
+                                },
+                                sessionId: {
+                                    type: 'string',
+                                    description: 'Chat session ID',
+                                },
+                            },
+                            required: ['workspaceId', 'sessionId'],
+                        },
+                    },
+                    {
+                        name: 'fork_ai_chat',
+                        description: 'Fork an AI chat session, keeping messages up to a given message',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID',
+                                },
+                                sessionId: {
+                                    type: 'string',
+                                    description: 'Chat session ID',
+                                },
+                                docId: {
+                                    type: 'string',
+                                    description: 'Document the forked chat is bound to',
+                                },
+                                latestMessageId: {
+                                    type: 'string',
+                                    description: 'Optional: Last message to keep (default: all messages)',
+                                },
+                            },
+                            required: ['workspaceId', 'sessionId', 'docId'],
+                        },
+                    },
+                    {
+                        name: 'transcribe_audio',
+                        description: 'Upload an audio recording, transcribe it with AFFiNE AI and return a speaker-segmented transcript with summary and action items, optionally saved as a new document',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID',
+                                },
+                                filePath: {
+                                    type: 'string',
+                                    description: 'Local path of the audio file',
+                                },
+                                base64: {
+                                    type: 'string',
+                                    description: 'Audio content as base64 (alternative to filePath; requires filename or mimeType)',
+                                },
+                                filename: {
+                                    type: 'string',
+                                    description: 'File name (default: taken from filePath)',
+                                },
+                                mimeType: {
+                                    type: 'string',
+                                    description: 'MIME type (default: guessed from the file name)',
+                                },
+                                jobId: {
+                                    type: 'string',
+                                    description: 'Resume waiting for an earlier transcription job instead of uploading a file',
+                                },
+                                createDoc: {
+                                    type: 'boolean',
+                                    description: 'Save the transcript as a new document (default: false)',
+                                    default: false,
+                                },
+                                docTitle: {
+                                    type: 'string',
+                                    description: 'Title of the new document (default: the title AFFiNE AI generated)',
+                                },
+                                parentDocId: {
+                                    type: 'string',
+                                    description: 'Optional: Document to link the new document from',
+                                },
+                                folderId: {
+                                    type: 'string',
+                                    description: 'Optional: Folder to place the new document in',
+                                },
+                                timeoutSeconds: {
+                                    type: 'number',
+                                    description: 'How long to wait for the transcription before returning the job ID to resume with (default: 30, max: 45)',
+                                    default: 30,
+                                },
+                            },
+                            required: ['workspaceId'],
+                        },
+                    },
+                    {
+                        name: 'get_document_history',
+                        description: 'Get version history for a document',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                docId: {
+                                    type: 'string',
+                                    description: 'Document ID to get history for',
+                                },
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID containing the document',
+                                },
+                                before: {
+                                    type: 'string',
+                                    description: 'Get history before this timestamp (ISO 8601)',
+                                },
+                                limit: {
+                                    type: 'number',
+                                    description: 'Maximum number of history entries (default: 10)',
+                                    default: 10,
+                                },
+                            },
+                            required: ['docId', 'workspaceId'],
+                        },
+                    },
+                    {
+                        name: 'diff_document_versions',
+                        description: 'Show what changed in a document between two history snapshots, or since a snapshot',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                docId: {
+                                    type: 'string',
+                                    description: 'Document ID to compare',
+                                },
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID containing the document',
+                                },
+                                fromTimestamp: {
+                                    type: 'string',
+                                    description: 'Timestamp of the older snapshot (ISO 8601, from get_document_history)',
+                                },
+                                toTimestamp: {
+                                    type: 'string',
+                                    description: 'Optional: Timestamp of the newer snapshot (default: current content)',
+                                },
+                                mode: {
+                                    type: 'string',
+                                    enum: ['unified', 'blocks'],
+                                    description: 'Unified Markdown diff or a summary of added/removed/modified blocks (default: unified)',
+                                    default: 'unified',
+                                },
+                            },
+                            required: ['docId', 'workspaceId', 'fromTimestamp'],
+                        },
+                    },
+                    {
+                        name: 'restore_document_version',
+                        description: 'Restore a document to a version from its history',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                docId: {
+                                    type: 'string',
+                                    description: 'Document ID to restore',
+                                },
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID containing the document',
+                                },
+                                timestamp: {
+                                    type: 'string',
+                                    description: 'Timestamp of the history entry to restore (ISO 8601, from get_document_history)',
+                                },
+                                confirm: {
+                                    type: 'boolean',
+                                    description: 'Must be true: the current content is replaced by the selected version',
+                                },
+                            },
+                            required: ['docId', 'workspaceId', 'timestamp', 'confirm'],
+                        },
+                    },
+                    {
+                        name: 'trash_document',
+                        description: 'Move a document to the trash',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                docId: {
+                                    type: 'string',
+                                    description: 'Document ID to move to trash',
+                                },
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID containing the document',
+                                },
+                                confirm: {
+                                    type: 'boolean',
+                                    description: 'Must be true to move the document to trash',
+                                },
+                            },
+                            required: ['docId', 'workspaceId', 'confirm'],
+                        },
+                    },
+                    {
+                        name: 'restore_document',
+                        description: 'Restore a document from the trash',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                docId: {
+                                    type: 'string',
+                                    description: 'Document ID to restore',
+                                },
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID containing the document',
+                                },
+                            },
+                            required: ['docId', 'workspaceId'],
+                        },
+                    },
+                    {
+                        name: 'list_blobs',
+                        description: 'List files/blobs in a workspace',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID to list blobs from',
+                                },
+                            },
+                            required: ['workspaceId'],
+                        },
+                    },
+                    {
+                        name: 'analyze_blob_usage',
+                        description: 'Find blobs not referenced by any document, comment, AI file or workspace setting and report potentially reclaimable storage and quota headroom',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID to analyze',
+                                },
+                            },
+                            required: ['workspaceId'],
+                        },
+                    },
+                    {
+                        name: 'release_deleted_blobs',
+                        description: 'Permanently remove deleted blobs to free up storage quota',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID to release deleted blobs from',
+                                },
+                                confirm: {
+                                    type: 'boolean',
+                                    description: 'Must be true to permanently remove the deleted blobs',
+                                },
+                            },
+                            required: ['workspaceId', 'confirm'],
+                        },
+                    },
+                    {
+                        name: 'upload_blob',
+                        description: 'Upload a file to a workspace from a local path or base64 data',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID to upload to',
+                                },
+                                filePath: {
+                                    type: 'string',
+                                    description: 'Local path of the file to upload',
+                                },
+                                base64: {
+                                    type: 'string',
+                                    description: 'File content as base64 (alternative to filePath)',
+                                },
+                                filename: {
+                                    type: 'string',
+                                    description: 'File name (default: taken from filePath)',
+                                },
+                                mimeType: {
+                                    type: 'string',
+                                    description: 'MIME type (default: guessed from the file name)',
+                                },
+                            },
+                            required: ['workspaceId'],
+                        },
+                    },
+                    {
+                        name: 'get_blob',
+                        description: 'Download a file/blob from a workspace',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID containing the blob',
+                                },
+                                blobKey: {
+                                    type: 'string',
+                                    description: 'Blob key/ID to download',
+                                },
+                                savePath: {
+                                    type: 'string',
+                                    description: 'Optional: Local path to save the file to instead of returning its content',
+                                },
+                            },
+                            required: ['workspaceId', 'blobKey'],
+                        },
+                    },
+                    {
+                        name: 'delete_blob',
+                        description: 'Delete a file/blob from workspace',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID containing the blob',
+                                },
+                                blobKey: {
+                                    type: 'string',
+                                    description: 'Blob key/ID to delete',
+                                },
+                                permanently: {
+                                    type: 'boolean',
+                                    description: 'Whether to permanently delete (default: false)',
+                                    default: false,
+                                },
+                            },
+                            required: ['workspaceId', 'blobKey'],
+                        },
+                    },
+                    {
+                        name: 'list_documents',
+                        description: 'List all documents in a workspace with detailed information',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID to list documents from (uses default from AFFINE_WORKSPACE_ID if not provided)',
+                                },
+                                limit: {
+                                    type: 'number',
+                                    description: 'Maximum number of documents to return (default: 50)',
+                                    default: 50,
+                                },
+                                cursor: {
+                                    type: 'string',
+                                    description: 'Pagination cursor for next page',
+                                },
+                                folderId: {
+                                    type: 'string',
+                                    description: 'Optional: Only list documents placed directly in this folder',
+                                },
+                                tag: {
+                                    type: 'string',
+                                    description: 'Optional: Only list documents with this tag (name or ID)',
+                                },
+                            },
+                            required: [],
+                        },
+                    },
+                    {
+                        name: 'list_folders',
+                        description: 'List folders in a workspace',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID to list folders from (uses default from AFFINE_WORKSPACE_ID if not provided)',
+                                },
+                                parentId: {
+                                    type: 'string',
+                                    description: 'Optional: Only list subfolders of this folder',
+                                },
+                            },
+                            required: [],
+                        },
+                    },
+                    {
+                        name: 'get_folder_tree',
+                        description: 'Get the folder tree of a workspace with its documents, tags and collections',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID (uses default from AFFINE_WORKSPACE_ID if not provided)',
+                                },
+                                folderId: {
+                                    type: 'string',
+                                    description: 'Optional: Folder to start from (default: workspace root)',
+                                },
+                            },
+                            required: [],
+                        },
+                    },
+                    {
+                        name: 'list_tags',
+                        description: 'List tags in a workspace with document counts',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID to list tags from (uses default from AFFINE_WORKSPACE_ID if not provided)',
+                                },
+                            },
+                            required: [],
+                        },
+                    },
+                    {
+                        name: 'list_documents_by_tag',
+                        description: 'List documents that have a given tag',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                workspaceId: {
+                                    type: 'string',
+                                    description: 'Workspace ID (uses default from AFFINE_WORKSPACE_ID if not provided)',
+                                },
+                                tag: {
+                                    type: 'string',
+                                    description: 'Tag name or ID',
+                                },
+                                limit: {
+                                    type: 'number',
+                                    description: 'Maximum number of documents to return (default: 50)',
+                                    default: 50,
+                                },
+                                cursor: {
+                                    type: 'string',
+                                    description: 'Pagination cursor for next page',
+                                },
+                            },
+                            required: ['tag'],
+                        },
+                    },
+                ],
+            };
+            
+            this.debugLog(`✅ [${requestId}] ListTools response:`, { toolCount: result.tools.length });
+            return result;
+        });
+
+        // Handle tool calls
+        this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+            const requestId = this.generateRequestId();
+            this.debugLog(`🔧 [${requestId}] CallTool request:`, request);
+
+            try {
+                const { name, arguments: args } = request.params;
+                this.debugLog(`🔧 [${requestId}] Calling tool: ${name}`, args);
+
+                const toolHandlers = {
+                    'search_documents': () => this.searchDocuments(args.query, args.workspaceId || this.workspaceId, args.limit),
+                    'get_document': () => this.getDocument(args.docId, args.workspaceId || this.workspaceId, args.format),
+                    'create_document': () => this.createDocument(args.workspaceId || this.workspaceId, args.title, args.markdown, args.parentDocId, args.folderId),
+                    'append_to_document': () => this.appendToDocument(args.workspaceId || this.workspaceId, args.docId, args.markdown),
+                    'insert_block_after': () => this.insertBlockAfter(args.workspaceId || this.workspaceId, args.docId, args.blockId, args.markdown),
+                    'replace_block': () => this.replaceBlock(args.workspaceId || this.workspaceId, args.docId, args.blockId, args.markdown),
+                    'delete_block': () => this.deleteBlock(args.workspaceId || this.workspaceId, args.docId, args.blockId),
+                    'edit_document_with_instructions': () => this.editDocumentWithInstructions(args.docId, args.workspaceId || this.workspaceId, args.instructions, args.updates, args.dryRun, args.showDiff),
+                    'get_document_properties': () => this.getDocumentProperties(args.docId, args.workspaceId || this.workspaceId),
+                    'query_database': () => this.queryDatabase(args.docId, args.workspaceId || this.workspaceId, args.blockId, args.filters, args.sort, args.limit),
+                    'update_database_row': () => this.updateDatabaseRow(args.docId, args.workspaceId || this.workspaceId, args.blockId, args.rowId, args.values),
+                    'get_edgeless_canvas': () => this.getEdgelessCanvas(args.docId, args.workspaceId || this.workspaceId, args.format),
+                    'list_workspaces': () => this.listWorkspaces(),
+                    'get_workspace_info': () => this.getWorkspaceInfo(args.workspaceId || this.workspaceId),
+                    'list_members': () => this.listMembers(args.workspaceId || this.workspaceId, args.query, args.skip, args.take),
+                    'invite_members': () => this.inviteMembers(args.workspaceId || this.workspaceId, args.emails, args.confirm),
+                    'remove_member': () => this.removeMember(args.workspaceId || this.workspaceId, args.userId, args.confirm),
+                    'change_member_role': () => this.changeMemberRole(args.workspaceId || this.workspaceId, args.userId, args.role, args.confirm),
+                    'transfer_workspace_ownership': () => this.transferWorkspaceOwnership(args.workspaceId || this.workspaceId, args.userId, args.confirmTransfer),
+                    'approve_member': () => this.approveMember(args.workspaceId || this.workspaceId, args.userId, args.confirm),
+                    'get_invite_link': () => this.getInviteLink(args.workspaceId || this.workspaceId),
+                    'create_invite_link': () => this.createInviteLink(args.workspaceId || this.workspaceId, args.expireTime, args.confirm),
+                    'revoke_invite_link': () => this.revokeInviteLink(args.workspaceId || this.workspaceId, args.confirm),
+                    'list_notifications': () => this.listNotifications(args.limit, args.cursor, args.types, args.unreadOnly),
+                    'mark_notification_read': () => this.markNotificationRead(args.notificationId),
+                    'mark_all_notifications_read': () => this.markAllNotificationsRead(),
+                    'publish_document': () => this.publishDocument(args.docId, args.workspaceId || this.workspaceId, args.mode),
+                    'unpublish_document': () => this.unpublishDocument(args.docId, args.workspaceId || this.workspaceId),
+                    'audit_public_documents': () => this.auditPublicDocuments(args.workspaceId || this.workspaceId, args.staleDays, args.previousAudit, args.unpublishDocIds, args.confirm),
+                    'get_document_access': () => this.getDocumentAccess(args.docId, args.workspaceId || this.workspaceId),
+                    'grant_document_role': () => this.grantDocumentRole(args.docId, args.workspaceId || this.workspaceId, args.userIds, args.role, args.confirm),
+                    'update_document_user_role': () => this.updateDocumentUserRole(args.docId, args.workspaceId || this.workspaceId, args.userId, args.role, args.confirm),
+                    'revoke_document_role': () => this.revokeDocumentRole(args.docId, args.workspaceId || this.workspaceId, args.userId, args.confirm),
+                    'set_document_default_role': () => this.setDocumentDefaultRole(args.docId, args.workspaceId || this.workspaceId, args.role, args.confirm),
+                    'create_comment': () => this.createComment(args.docId, args.workspaceId || this.workspaceId, args.content, args.docMode, args.docTitle, args.mentions, args.text, args.markdown, args.blockId, args.quote, args.range),
+                    'get_comments': () => this.getComments(args.docId, args.workspaceId || this.workspaceId, args.limit, args.cursor),
+                    'resolve_comment': () => this.resolveComment(args.commentId, args.resolved),
+                    'delete_comment': () => this.deleteComment(args.commentId),
+                    'update_comment': () => this.updateComment(args.commentId, args.content, args.text, args.markdown, args.workspaceId || this.workspaceId),
+                    'reply_to_comment': () => this.replyToComment(args.commentId, args.content, args.docMode, args.docTitle, args.mentions, args.text, args.markdown, args.workspaceId || this.workspaceId, args.docId),
+                    'update_reply': () => this.updateReply(args.replyId, args.content, args.text, args.markdown, args.workspaceId || this.workspaceId),
+                    'delete_reply': () => this.deleteReply(args.replyId),
+                    'get_comment_changes': () => this.getCommentChanges(args.docId, args.workspaceId || this.workspaceId, args.cursor, args.limit),
+                    'get_workspace_comment_changes': () => this.getWorkspaceCommentChanges(args.workspaceId || this.workspaceId, args.cursor, args.since, args.docLimit),
+                    'advanced_search': () => this.advancedSearch(args.workspaceId || this.workspaceId, args.query, args.table, args.fields, args.limit, args.highlights, args.after),
+                    'aggregate_search': () => this.aggregateSearch(args.workspaceId || this.workspaceId, args.query, args.field, args.table, args.hitFields, args.hitsPerGroup, args.limit, args.after, args.highlights),
+                    'semantic_search': () => this.semanticSearch(args.workspaceId || this.workspaceId, args.query, args.limit, args.threshold, args.includeFiles),
+                    'get_embedding_status': () => this.getEmbeddingStatus(args.workspaceId || this.workspaceId),
+                    'queue_embedding': () => this.queueEmbedding(args.workspaceId || this.workspaceId, args.docIds, args.updatedSinceDays),
+                    'update_embedding_ignored_docs': () => this.updateEmbeddingIgnoredDocs(args.workspaceId || this.workspaceId, args.add, args.remove),
+                    'add_embedding_file': () => this.addEmbeddingFile(args.workspaceId || this.workspaceId, args.filePath, args.base64, args.filename, args.mimeType),
+                    'remove_embedding_file': () => this.removeEmbeddingFile(args.workspaceId || this.workspaceId, args.fileId),
+                    'start_ai_chat': () => this.startAiChat(args.workspaceId || this.workspaceId, args.docId, args.promptName, args.docIds, args.tagIds, args.collectionIds, args.pinned),
+                    'add_ai_chat_context': () => this.addAiChatContext(args.workspaceId || this.workspaceId, args.sessionId, args.docIds, args.tagIds, args.collectionIds, args.filePath, args.base64, args.filename, args.mimeType),
+                    'send_ai_message': () => this.sendAiMessage(args.workspaceId || this.workspaceId, args.sessionId, args.content, args.attachments),
+                    'list_ai_chats': () => this.listAiChats(args.workspaceId || this.workspaceId, args.docId, args.limit, args.cursor),
+                    'get_ai_chat': () => this.getAiChat(args.workspaceId || this.workspaceId, args.sessionId),
+                    'fork_ai_chat': () => this.forkAiChat(args.workspaceId || this.workspaceId, args.sessionId, args.docId, args.latestMessageId),
+                    'transcribe_audio': () => this.transcribeAudio(args.workspaceId || this.workspaceId, args.filePath, args.base64, args.filename, args.mimeType, args.jobId, args.createDoc, args.docTitle, args.parentDocId, args.folderId, args.timeoutSeconds),
+                    'get_document_history': () => this.getDocumentHistory(args.docId, args.workspaceId || this.workspaceId, args.before, args.limit),
+                    'diff_document_versions': () => this.diffDocumentVersions(args.docId, args.workspaceId || this.workspaceId, args.fromTimestamp, args.toTimestamp, args.mode),
+                    'restore_document_version': () => this.restoreDocumentVersion(args.docId, args.workspaceId || this.workspaceId, args.timestamp, args.confirm),
+                    'trash_document': () => this.trashDocument(args.docId, args.workspaceId || this.workspaceId, args.confirm),
+                    'restore_document': () => this.restoreDocument(args.docId, args.workspaceId || this.workspaceId),
+                    'list_blobs': () => this.listBlobs(args.workspaceId || this.workspaceId),
+                    'analyze_blob_usage': () => this.analyzeBlobUsage(args.workspaceId || this.workspaceId),
+                    'release_deleted_blobs': () => this.releaseDeletedBlobs(args.workspaceId || this.workspaceId, args.confirm),
+                    'upload_blob': () => this.uploadBlob(args.workspaceId || this.workspaceId, args.filePath, args.base64, args.filename, args.mimeType),
+                    'get_blob': () => this.getBlob(args.workspaceId || this.workspaceId, args.blobKey, args.savePath),
+                    'delete_blob': () => this.deleteBlob(args.workspaceId || this.workspaceId, args.blobKey, args.permanently),
+                    'list_documents': () => this.listDocuments(args.workspaceId || this.workspaceId, args.limit, args.cursor, args.folderId, args.tag),
+                    'list_folders': () => this.listFolders(args.workspaceId || this.workspaceId, args.parentId),
+                    'get_folder_tree': () => this.getFolderTree(args.workspaceId || this.workspaceId, args.folderId),
+                    'list_tags': () => this.listTags(args.workspaceId || this.workspaceId),
+                    'list_documents_by_tag': () => this.listDocumentsByTag(args.workspaceId || this.workspaceId, args.tag, args.limit, args.cursor)
+                };
+
+                const handler = toolHandlers[name];
+                if (!handler) {
+                    throw new McpError(
+                        ErrorCode.MethodNotFound,
+                        `Unknown tool: ${name}`
+                    );
+                }
+
+                const result = await handler();
+                this.debugLog(`✅ [${requestId}] CallTool response for ${name}:`, { contentCount: result.content?.length });
+                return result;
+            } catch (error) {
+                this.debugLog(`❌ [${requestId}] CallTool error:`, { message: error.message, stack: error.stack });
+                throw error;
+            }
+        });
+
+        this.debugLog('✅ MCP handlers setup complete');
+    }
+
+    async handleAFFiNEResource(url) {
+        // Handle different URI formats:
+        // affine://workspace/{workspaceId}
+        // affine://workspace/{workspaceId}/docs  
+        // affine://search
+        
+        const hostname = url.hostname;
+        const pathParts = url.pathname.split('/').filter(Boolean);
+        
+        this.debugLog(`🔍 Parsing AFFiNE resource:`, {
+            hostname,
+            pathname: url.pathname,
+            pathParts,
+            fullUrl: url.toString()
+        });
+
+        // Check if this is a workspace resource
+        if (hostname === 'workspace' && pathParts.length > 0) {
+            const workspaceId = pathParts[0]; // Extract workspace ID from path
+            
+            if (pathParts.length > 1 && pathParts[1] === 'docs') {
+                // List documents in workspace: affine://workspace/{workspaceId}/docs
+                this.debugLog(`📑 Fetching documents for workspace: ${workspaceId}`);
+                const docs = await this.getWorkspaceDocs(workspaceId);
+                return {
+                    contents: [
+                        {
+                            uri: url.toString(),
+                            mimeType: 'application/json',
+                            text: JSON.stringify(docs, null, 2),
+                        },
+                    ],
+                };
+            } else {
+                // Get workspace info: affine://workspace/{workspaceId}
+                this.debugLog(`🏢 Fetching workspace info for: ${workspaceId}`);
+                try {
+                    const workspace = await this.getWorkspaceInfo(workspaceId);
+                    return {
+                        contents: [
+                            {
+                                uri: url.toString(),
+                                mimeType: 'application/json',
+                                text: JSON.stringify(workspace, null, 2),
+                            },
+                        ],
+                    };
+                } catch (error) {
+                    this.debugLog(`⚠️ Workspace info failed, trying to list documents instead`);
+                    // If workspace info fails, try to list documents as fallback
+                    try {
+                        const docs = await this.getWorkspaceDocs(workspaceId);
+                        return {
+                            contents: [
+                                {
+                                    uri: url.toString(),
+                                    mimeType: 'application/json',
+                                    text: JSON.stringify({
+                                        error: 'Could not access workspace info, but found documents:',
+                                        workspaceId,
+                                        documents: docs
+                                    }, null, 2),
+                                },
+                            ],
+                        };
+                    } catch (docsError) {
+                        // If both fail, throw the original error
+                        throw error;
+                    }
+                }
+            }
+        } else if (hostname === 'search') {
+            // Handle search: affine://search?q=query
+            this.debugLog(`🔍 Handling search request`);
+            const searchParams = new URLSearchParams(url.search);
+            const query = searchParams.get('q') || '';
+            
+            if (!query.trim()) {
+                // If no search query provided, return empty results with explanation
+                return {
+                    contents: [
+                        {
+                            uri: url.toString(),
+                            mimeType: 'application/json',
+                            text: JSON.stringify({
+                                message: 'No search query provided. Use ?q=your-search-term to search documents.',
+                                example: 'affine://search?q=meeting notes'
+                            }, null, 2),
+                        },
+                    ],
+                };
+            }
+            
+            const results = await this.searchDocuments(query);
+            return {
+                contents: [
+                    {
+                        uri: url.toString(),
+                        mimeType: 'application/json',
+                        text: JSON.stringify(results, null, 2),
+                    },
+                ],
+            };
+        }
+
+        throw new McpError(
+            ErrorCode.InvalidRequest,
             `Unknown resource format. Expected affine://workspace/{id} or affine://search?q=query, got: ${url.toString()}`
         );
     }
 
-    async getWorkspaces() {
-        const query = `
-      query {
-        workspaces {
-          id
-          public
-          createdAt
-        }
-      }
-    `;
+    async getWorkspaces() {
+        const query = `
+      query {
+        workspaces {
+          id
+          public
+          createdAt
+        }
+      }
+    `;
+
+        const data = await this.makeGraphQLRequest(query);
+        return data.workspaces;
+    }
+
+    async getWorkspaceDocs(workspaceId) {
+        const query = `
+      query($workspaceId: String!) {
+        workspace(id: $workspaceId) {
+          docs(pagination: {first: 50}) {
+            edges {
+              node {
+                id
+                title
+                createdAt
+                updatedAt
+                createdBy {
+                  name
+                }
+                lastUpdatedBy {
+                  name
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+
+        const data = await this.makeGraphQLRequest(query, { workspaceId });
+        return data.workspace.docs.edges.map(edge => edge.node);
+    }
+
+    async searchDocuments(query, workspaceId = null, limit = 10) {
+        // Handle empty or whitespace-only queries
+        if (!query || !query.trim()) {
+            if (workspaceId) {
+                // If searching a specific workspace, list all documents instead
+                const docs = await this.getWorkspaceDocs(workspaceId);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `**All documents in workspace ${workspaceId}:**\n\n` +
+                                docs.map(doc => 
+                                    `• **${doc.title}**\n  ID: ${doc.id}\n  Created: ${new Date(doc.createdAt).toLocaleString()}\n  Updated: ${new Date(doc.updatedAt).toLocaleString()}`
+                                ).join('\n\n'),
+                        },
+                    ],
+                };
+            } else {
+                // If searching all workspaces, return a helpful message
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `**No search query provided**\n\nPlease provide a search query to find documents across your workspaces.\n\nExample searches:\n• "meeting notes"\n• "project plan"\n• "todo"`,
+                        },
+                    ],
+                };
+            }
+        }
+
+        if (workspaceId) {
+            // Search within specific workspace
+            const gqlQuery = `
+        query($workspaceId: String!, $keyword: String!, $limit: Int!) {
+          workspace(id: $workspaceId) {
+            searchDocs(input: {keyword: $keyword, limit: $limit}) {
+              docId
+              title
+              highlight
+              createdAt
+              updatedAt
+            }
+          }
+        }
+      `;
+
+            const data = await this.makeGraphQLRequest(gqlQuery, {
+                workspaceId,
+                keyword: query,
+                limit
+            });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Found ${data.workspace.searchDocs.length} documents matching "${query}" in workspace:\n\n` +
+                            data.workspace.searchDocs.map(doc => this.formatDocumentResult(doc)).join('\n\n'),
+                    },
+                ],
+            };
+        } else {
+            // Search across all workspaces
+            const workspaces = await this.getWorkspaces();
+            const allResults = [];
+
+            for (const workspace of workspaces) {
+                try {
+                    const gqlQuery = `
+            query($workspaceId: String!, $keyword: String!, $limit: Int!) {
+              workspace(id: $workspaceId) {
+                id
+                searchDocs(input: {keyword: $keyword, limit: $limit}) {
+                  docId
+                  title
+                  highlight
+                  createdAt
+                  updatedAt
+                }
+              }
+            }
+          `;
+
+                    const data = await this.makeGraphQLRequest(gqlQuery, {
+                        workspaceId: workspace.id,
+                        keyword: query,
+                        limit: Math.ceil(limit / workspaces.length)
+                    });
+
+                    if (data.workspace.searchDocs.length > 0) {
+                        allResults.push({
+                            workspaceId: data.workspace.id,
+                            docs: data.workspace.searchDocs,
+                        });
+                    }
+                } catch (error) {
+                    // Skip workspaces that can't be searched
+                    this.debugLog(`⚠️ Skipping workspace ${workspace.id} due to error:`, error.message);
+                    continue;
+                }
+            }
+
+            if (allResults.length === 0) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `No documents found matching "${query}" across your workspaces.`,
+                        },
+                    ],
+                };
+            }
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Search results for "${query}":\n\n` +
+                            allResults.map(result =>
+                                `**Workspace ${result.workspaceId}:**\n` +
+                                result.docs.map(doc => this.formatDocumentResult(doc)).join('\n')
+                            ).join('\n\n'),
+                    },
+                ],
+            };
+        }
+    }
+
+    async getDocument(docId, workspaceId, format = 'markdown') {
+        this.debugLog(`📄 Getting document ${docId} with content in workspace ${workspaceId} (format: ${format})`);
+
+        if (!['markdown', 'text', 'json'].includes(format)) {
+            throw new McpError(
+                ErrorCode.InvalidParams,
+                `Unknown format "${format}". Use markdown, text or json.`
+            );
+        }
+
+        // First get document metadata
+        const metaQuery = `
+            query($workspaceId: String!, $docId: String!) {
+                workspace(id: $workspaceId) {
+                    doc(docId: $docId) {
+                        id
+                        title
+                        createdAt
+                        updatedAt
+                        createdBy {
+                            id
+                            name
+                            avatarUrl
+                        }
+                        lastUpdatedBy {
+                            id
+                            name
+                            avatarUrl
+                        }
+                        mode
+                        public
+                        permissions {
+                            Doc_Read
+                            Doc_Update
+                            Doc_Delete
+                        }
+                    }
+                }
+            }
+        `;
+
+        const metaData = await this.makeGraphQLRequest(metaQuery, { workspaceId, docId });
+        const doc = metaData.workspace.doc;
+
+        if (!doc) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `❌ Document not found\n\nDocument ID: ${docId}\nWorkspace ID: ${workspaceId}`,
+                    },
+                ],
+            };
+        }
+
+        // Document bodies live in the doc's Yjs state rather than in GraphQL,
+        // so fetch the binary and decode the BlockSuite block tree ourselves.
+        // A failure here still returns the metadata fetched above.
+        let root = null;
+        let rendered = '';
+        let contentError = null;
+        try {
+            root = this.getBlockTree(await this.loadDoc(workspaceId, docId));
+            if (root && format === 'markdown') {
+                rendered = this.renderBlocksAsMarkdown(root, workspaceId);
+            } else if (root && format === 'text') {
+                rendered = this.renderBlocksAsText(root);
+            }
+        } catch (error) {
+            this.debugLog(`⚠️ Could not load content for document ${docId}:`, error.message);
+            contentError = error.message;
+        }
+
+        // Handle title display
+        const displayTitle = doc.title || root?.props.title || `Document ${doc.id.substring(0, 8)}`;
+        const errorText = contentError ? `❌ Could not load document content: ${contentError}` : null;
+
+        if (format === 'json') {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: JSON.stringify({
+                            id: doc.id,
+                            title: doc.title || root?.props.title || null,
+                            mode: doc.mode,
+                            public: doc.public,
+                            createdAt: doc.createdAt,
+                            updatedAt: doc.updatedAt,
+                            createdBy: doc.createdBy?.name || null,
+                            lastUpdatedBy: doc.lastUpdatedBy?.name || null,
+                            blocks: root,
+                            ...(contentError ? { contentError } : {}),
+                        }, null, 2),
+                    },
+                ],
+            };
+        }
+
+        if (format === 'markdown') {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: errorText || (rendered.trim() ? rendered : `# ${displayTitle}`),
+                    },
+                    {
+                        type: 'text',
+                        text: this.formatDocumentMetadata(doc, displayTitle),
+                    },
+                ],
+            };
+        }
+
+        const docContent = errorText || (rendered.trim() ? rendered : '(This document is empty)');
+
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: this.formatDocumentMetadata(doc, displayTitle) +
+                        `\n\n--- DOCUMENT CONTENT ---\n\n${docContent}`,
+                },
+            ],
+        };
+    }
+
+    /**
+     * Format document metadata for display
+     */
+    formatDocumentMetadata(doc, displayTitle) {
+        return `📄 ${displayTitle}\n\n` +
+            `ID: ${doc.id}\n` +
+            `Mode: ${doc.mode}\n` +
+            `Public: ${doc.public ? 'Yes' : 'No'}\n` +
+            `Created: ${new Date(doc.createdAt).toLocaleString()}\n` +
+            `Updated: ${new Date(doc.updatedAt).toLocaleString()}\n` +
+            `Created by: ${doc.createdBy?.name || 'Unknown'}\n` +
+            `Last updated by: ${doc.lastUpdatedBy?.name || 'Unknown'}\n` +
+            `Permissions: Read: ${doc.permissions?.Doc_Read ? '✅' : '❌'}, Update: ${doc.permissions?.Doc_Update ? '✅' : '❌'}, Delete: ${doc.permissions?.Doc_Delete ? '✅' : '❌'}\n` +
+            `Title set: ${doc.title ? 'Yes' : 'No (common in AFFiNE)'}`;
+    }
+
+    /**
+     * Download the merged Yjs update for a doc. The workspace root doc uses
+     * the workspace ID as its doc ID.
+     */
+    async fetchDocBinary(workspaceId, docId, allowMissing = false) {
+        this.debugLog(`📥 Fetching binary for document ${docId} in workspace ${workspaceId}`);
+
+        const response = await this.makeRestRequest(
+            `/api/workspaces/${encodeURIComponent(workspaceId)}/docs/${encodeURIComponent(docId)}`,
+            { allowNotFound: allowMissing }
+        );
+        return response ? new Uint8Array(await response.arrayBuffer()) : new Uint8Array();
+    }
+
+    /**
+     * Load a doc into a fresh Y.Doc. With `allowMissing`, a doc that does
+     * not exist on the server yet loads as an empty Y.Doc.
+     */
+    async loadDoc(workspaceId, docId, allowMissing = false) {
+        const update = await this.fetchDocBinary(workspaceId, docId, allowMissing);
+        const ydoc = new Y.Doc({ guid: docId });
+        if (update.length > 0) {
+            Y.applyUpdate(ydoc, update);
+        }
+        return ydoc;
+    }
+
+    /**
+     * Decode a single BlockSuite block (a Y.Map in the doc's "blocks" map).
+     * Block props are stored as "prop:*" keys; nested props (e.g. table
+     * cells) are flattened with dots, so they are expanded back here.
+     */
+    decodeBlock(id, yBlock) {
+        const block = {
+            id,
+            flavour: yBlock.get('sys:flavour'),
+            props: {},
+            text: null,
+            children: [],
+        };
+
+        for (const [key, value] of yBlock.entries()) {
+            if (!key.startsWith('prop:')) continue;
+
+            const path = key.slice('prop:'.length).split('.');
+            if (path.length === 1 && path[0] === 'text' && value instanceof Y.Text) {
+                block.text = value.toDelta();
+                continue;
+            }
+
+            const decoded = value instanceof Y.AbstractType ? value.toJSON() : value;
+            let target = block.props;
+            for (const segment of path.slice(0, -1)) {
+                target[segment] = target[segment] || {};
+                target = target[segment];
+            }
+            target[path[path.length - 1]] = decoded;
+        }
+
+        const children = yBlock.get('sys:children');
+        block.childIds = children instanceof Y.Array ? children.toArray() : [];
+        return block;
+    }
+
+    /**
+     * Build the block tree of a doc, rooted at its affine:page block
+     */
+    getBlockTree(ydoc) {
+        const blocks = ydoc.getMap('blocks');
+        const nodes = new Map();
+        for (const [id, yBlock] of blocks.entries()) {
+            if (yBlock instanceof Y.Map) {
+                nodes.set(id, this.decodeBlock(id, yBlock));
+            }
+        }
+
+        const root = [...nodes.values()].find(node => node.flavour === 'affine:page');
+        if (!root) {
+            return null;
+        }
+
+        const build = (node, seen) => {
+            seen.add(node.id);
+            node.children = node.childIds
+                .filter(childId => nodes.has(childId) && !seen.has(childId))
+                .map(childId => build(nodes.get(childId), seen));
+            delete node.childIds;
+            return node;
+        };
+
+        return build(root, new Set());
+    }
+
+    /**
+     * Flatten a Yjs text delta into plain text, keeping inline references
+     */
+    deltaToPlainText(delta) {
+        if (!Array.isArray(delta)) return '';
+
+        return delta.map(op => {
+            if (typeof op.insert !== 'string') return '';
+            const attributes = op.attributes || {};
+            if (attributes.reference?.pageId) {
+                return `[doc:${attributes.reference.pageId}]`;
+            }
+            if (attributes.mention?.member) {
+                return `@${attributes.mention.member}`;
+            }
+            if (attributes.latex) {
+                return attributes.latex;
+            }
+            return op.insert;
+        }).join('');
+    }
+
+    /**
+     * Render a block tree as readable plain text
+     */
+    renderBlocksAsText(block, depth = 0, listNumber = 1) {
+        const indent = '  '.repeat(depth);
+        const text = this.deltaToPlainText(block.text);
+        const lines = [];
+        let childDepth = depth;
+
+        switch (block.flavour) {
+            case 'affine:page':
+                if (block.props.title) lines.push(block.props.title, '');
+                break;
+            case 'affine:surface':
+                // Edgeless canvas elements are not part of the page flow
+                return '';
+            case 'affine:note':
+            case 'affine:callout':
+                break;
+            case 'affine:paragraph':
+                lines.push(indent + text);
+                break;
+            case 'affine:list': {
+                const marker = {
+                    numbered: `${listNumber}.`,
+                    todo: block.props.checked ? '[x]' : '[ ]',
+                }[block.props.type] || '•';
+                lines.push(`${indent}${marker} ${text}`);
+                childDepth = depth + 1;
+                break;
+            }
+            case 'affine:code':
+                lines.push(...text.split('\n').map(line => indent + line));
+                break;
+            case 'affine:divider':
+                lines.push(indent + '---');
+                break;
+            case 'affine:image':
+                lines.push(`${indent}[Image${block.props.caption ? `: ${block.props.caption}` : ''}]`);
+                break;
+            case 'affine:attachment':
+                lines.push(`${indent}[Attachment: ${block.props.name || block.props.sourceId}]`);
+                break;
+            case 'affine:bookmark':
+                lines.push(`${indent}[Bookmark: ${block.props.title || block.props.url} (${block.props.url})]`);
+                break;
+            case 'affine:latex':
+                lines.push(indent + (block.props.latex || ''));
+                break;
+            case 'affine:embed-linked-doc':
+            case 'affine:embed-synced-doc':
+                lines.push(`${indent}[doc:${block.props.pageId}]`);
+                break;
+            case 'affine:database':
+                lines.push(`${indent}[Database${block.props.title ? `: ${block.props.title}` : ''}]`);
+                break;
+            default:
+                if (text) lines.push(indent + text);
+        }
+
+        let number = 0;
+        for (const child of block.children) {
+            number = child.flavour === 'affine:list' && child.props.type === 'numbered' ? number + 1 : 0;
+            const rendered = this.renderBlocksAsText(child, childDepth, number);
+            if (rendered) lines.push(rendered);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Build the URL of a doc in the AFFiNE web app
+     */
+    getDocUrl(workspaceId, docId) {
+        return `${this.apiUrl}/workspace/${workspaceId}/${docId}`;
+    }
+
+    /**
+     * Build the REST URL of a workspace blob
+     */
+    getBlobUrl(workspaceId, blobKey) {
+        return `${this.apiUrl}/api/workspaces/${workspaceId}/blobs/${blobKey}`;
+    }
+
+    /**
+     * Prefix every line of a Markdown fragment, e.g. for quotes or list nesting
+     */
+    prefixLines(text, prefix) {
+        return text.split('\n').map(line => line ? prefix + line : prefix.trimEnd()).join('\n');
+    }
+
+    /**
+     * Convert a Yjs text delta into inline Markdown
+     */
+    deltaToMarkdown(delta, workspaceId) {
+        if (!Array.isArray(delta)) return '';
+
+        const wrap = (text, mark) => {
+            // Markers must hug the text, so keep surrounding whitespace outside
+            const [, before, inner, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+            return inner ? `${before}${mark}${inner}${mark}${after}` : text;
+        };
+
+        return delta.map(op => {
+            if (typeof op.insert !== 'string') return '';
+            const attributes = op.attributes || {};
+
+            if (attributes.reference?.pageId) {
+                const pageId = attributes.reference.pageId;
+                return `[${pageId}](${this.getDocUrl(workspaceId, pageId)})`;
+            }
+            if (attributes.mention?.member) {
+                return `@${attributes.mention.member}`;
+            }
+            if (attributes.latex) {
+                return `$${attributes.latex}$`;
+            }
+
+            let text = op.insert;
+            if (attributes.code) {
+                text = wrap(text, '`');
+            } else {
+                if (attributes.bold) text = wrap(text, '**');
+                if (attributes.italic) text = wrap(text, '_');
+                if (attributes.strike) text = wrap(text, '~~');
+            }
+            if (attributes.link) {
+                text = `[${text}](${attributes.link})`;
+            }
+            return text;
+        }).join('');
+    }
+
+    /**
+     * Render a block tree as Markdown
+     */
+    renderBlocksAsMarkdown(block, workspaceId, listNumber = 1) {
+        const text = this.deltaToMarkdown(block.text, workspaceId);
+        const children = this.renderMarkdownChildren(block.children, workspaceId);
+        const withChildren = own => [own, children].filter(Boolean).join('\n\n');
+
+        switch (block.flavour) {
+            case 'affine:page':
+                return withChildren(block.props.title ? `# ${block.props.title}` : '');
+            case 'affine:surface':
+                // Edgeless canvas elements are not part of the page flow
+                return '';
+            case 'affine:paragraph': {
+                const heading = /^h([1-6])$/.exec(block.props.type || '');
+                if (heading) {
+                    return withChildren(`${'#'.repeat(Number(heading[1]))} ${text}`);
+                }
+                if (block.props.type === 'quote') {
+                    return withChildren(this.prefixLines(text, '> '));
+                }
+                return withChildren(text);
+            }
+            case 'affine:list': {
+                const marker = {
+                    numbered: `${listNumber}.`,
+                    todo: block.props.checked ? '- [x]' : '- [ ]',
+                }[block.props.type] || '-';
+                // Continuation lines and nested blocks align with the item's content
+                const padding = ' '.repeat(block.props.type === 'numbered' ? marker.length + 1 : 2);
+                const nested = children ? '\n' + this.prefixLines(children, padding) : '';
+                return `${marker} ${text.replace(/\n/g, '\n' + padding)}${nested}`;
+            }
+            case 'affine:code': {
+                const code = this.deltaToPlainText(block.text);
+                const fence = code.includes('```') ? '~~~' : '```';
+                return `${fence}${block.props.language || ''}\n${code}\n${fence}`;
+            }
+            case 'affine:divider':
+                return '---';
+            case 'affine:image': {
+                const image = `![${block.props.caption || ''}](${this.getBlobUrl(workspaceId, block.props.sourceId)})`;
+                return withChildren(image);
+            }
+            case 'affine:attachment':
+                return `[${block.props.name || block.props.sourceId}](${this.getBlobUrl(workspaceId, block.props.sourceId)})`;
+            case 'affine:bookmark':
+                return `[${block.props.title || block.props.url}](${block.props.url})`;
+            case 'affine:latex':
+                return `$$\n${block.props.latex || ''}\n$$`;
+            case 'affine:callout': {
+                const emoji = block.props.emoji ? `${block.props.emoji} ` : '';
+                return this.prefixLines(`${emoji}${children}`, '> ');
+            }
+            case 'affine:embed-linked-doc':
+            case 'affine:embed-synced-doc':
+                return `[${block.props.title || block.props.pageId}](${this.getDocUrl(workspaceId, block.props.pageId)})`;
+            case 'affine:database':
+                return this.renderDatabaseAsMarkdown(block, workspaceId);
+            case 'affine:table':
+                return this.renderTableAsMarkdown(block);
+            default:
+                if (block.flavour?.startsWith('affine:embed-') && block.props.url) {
+                    return `[${block.props.title || block.props.url}](${block.props.url})`;
+                }
+                return withChildren(text);
+        }
+    }
+
+    /**
+     * Render sibling blocks, keeping consecutive list items in one list
+     */
+    renderMarkdownChildren(children, workspaceId) {
+        let output = '';
+        let previousListKind = null;
+        let number = 0;
+
+        for (const child of children) {
+            // Ordered and unordered items can't share a Markdown list
+            const listKind = child.flavour === 'affine:list'
+                ? (child.props.type === 'numbered' ? 'ordered' : 'unordered')
+                : null;
+            number = listKind === 'ordered' ? number + 1 : 0;
+            const rendered = this.renderBlocksAsMarkdown(child, workspaceId, number);
+            if (!rendered) continue;
+
+            if (output) {
+                output += listKind && listKind === previousListKind ? '\n' : '\n\n';
+            }
+            output += rendered;
+            previousListKind = listKind;
+        }
+
+        return output;
+    }
+
+    /**
+     * Render rows of a Markdown table
+     */
+    formatMarkdownTable(header, rows) {
+        const cell = value => String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, '<br>');
+        return [
+            `| ${header.map(cell).join(' | ')} |`,
+            `| ${header.map(() => '---').join(' | ')} |`,
+            ...rows.map(row => `| ${row.map(cell).join(' | ')} |`),
+        ].join('\n');
+    }
+
+    /**
+     * Format a database cell value for display
+     */
+    formatDatabaseCell(column, value) {
+        if (value === undefined || value === null) return '';
+
+        const options = column.data?.options || [];
+        const optionValue = id => options.find(option => option.id === id)?.value ?? id;
+
+        switch (column.type) {
+            case 'select':
+                return optionValue(value);
+            case 'multi-select':
+                return (Array.isArray(value) ? value : [value]).map(optionValue).join(', ');
+            case 'checkbox':
+                return value ? '✅' : '';
+            case 'date': {
+                const date = new Date(value);
+                return Number.isNaN(date.getTime()) ? String(value) : date.toISOString().slice(0, 10);
+            }
+            case 'progress':
+                return `${value}%`;
+            default:
+                return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+    }
+
+    /**
+     * Render an affine:database block (table/kanban views) as a Markdown table.
+     * Rows are the block's children; the title column is the row's own text.
+     */
+    renderDatabaseAsMarkdown(block, workspaceId) {
+        const columns = Array.isArray(block.props.columns) ? block.props.columns : [];
+        const cells = block.props.cells || {};
+        const header = columns.map(column => column.name || column.type);
+        const rows = block.children.map(row => columns.map(column => {
+            if (column.type === 'title') {
+                return this.deltaToMarkdown(row.text, workspaceId);
+            }
+            return this.formatDatabaseCell(column, cells[row.id]?.[column.id]?.value);
+        }));
+
+        const title = block.props.title ? `**${block.props.title}**\n\n` : '';
+        return columns.length > 0 ? title + this.formatMarkdownTable(header, rows) : title.trim();
+    }
+
+    /**
+     * Render an affine:table block as a Markdown table. Its first row is
+     * used as the header.
+     */
+    renderTableAsMarkdown(block) {
+        const byOrder = (a, b) => (a.order < b.order ? -1 : a.order > b.order ? 1 : 0);
+        const rows = Object.values(block.props.rows || {}).sort(byOrder);
+        const columns = Object.values(block.props.columns || {}).sort(byOrder);
+        const cells = block.props.cells || {};
+        const grid = rows.map(row => columns.map(column => cells[`${row.rowId}:${column.columnId}`]?.text || ''));
+
+        if (grid.length === 0) return '';
+        return this.formatMarkdownTable(grid[0], grid.slice(1));
+    }
+
+    /**
+     * Generate a nanoid-style ID for docs, blocks and workspace DB rows
+     */
+    generateBlockId() {
+        return randomBytes(16).toString('base64url').slice(0, 21);
+    }
+
+    /**
+     * Produce a fractional index that sorts after the given one, using the
+     * base-62 key scheme BlockSuite uses (`fractional-indexing`): keys are an
+     * integer part whose head letter encodes its length, plus an optional
+     * fraction, so incrementing keeps them short.
+     */
+    generateIndexAfter(index) {
+        if (!index) return 'a0';
+
+        const digits = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+        const head = index[0];
+        const integerLength = head >= 'a' && head <= 'z'
+            ? head.charCodeAt(0) - 'a'.charCodeAt(0) + 2
+            : head >= 'A' && head <= 'Z'
+                ? 'Z'.charCodeAt(0) - head.charCodeAt(0) + 2
+                : null;
+        const integer = integerLength ? index.slice(0, integerLength) : '';
+        if (!integerLength || integer.length < integerLength || [...integer.slice(1)].some(digit => !digits.includes(digit))) {
+            // Not a key this scheme produced; extend it, which still sorts after
+            return `${index}V`;
+        }
+
+        // Increment the integer part, carrying into the head letter
+        const integerDigits = [...integer.slice(1)];
+        for (let i = integerDigits.length - 1; i >= 0; i--) {
+            const next = digits.indexOf(integerDigits[i]) + 1;
+            if (next < digits.length) {
+                integerDigits[i] = digits[next];
+                return head + integerDigits.join('');
+            }
+            integerDigits[i] = '0';
+        }
+        if (head === 'Z') return 'a0';
+        if (head !== 'z') {
+            const nextHead = String.fromCharCode(head.charCodeAt(0) + 1);
+            if (nextHead > 'a') integerDigits.push('0');
+            else integerDigits.pop();
+            return nextHead + integerDigits.join('');
+        }
+
+        // Largest integer: grow the fraction instead
+        const fractionAfter = fraction => {
+            const digit = fraction ? digits.indexOf(fraction[0]) : 0;
+            return digits.length - digit > 1
+                ? digits[Math.round((digit + digits.length) / 2)]
+                : digits[digit] + fractionAfter(fraction.slice(1));
+        };
+        return integer + fractionAfter(index.slice(integerLength));
+    }
+
+    /**
+     * Convert marked inline tokens into a Yjs text delta
+     */
+    inlineTokensToDelta(tokens, workspaceId, attributes = {}) {
+        const delta = [];
+        const push = (insert, extra = {}) => {
+            if (!insert) return;
+            const merged = { ...attributes, ...extra };
+            delta.push(Object.keys(merged).length > 0 ? { insert, attributes: merged } : { insert });
+        };
+        const docUrlPrefix = `${this.getDocUrl(workspaceId, '')}`;
+
+        for (const token of tokens || []) {
+            switch (token.type) {
+                case 'strong':
+                    delta.push(...this.inlineTokensToDelta(token.tokens, workspaceId, { ...attributes, bold: true }));
+                    break;
+                case 'em':
+                    delta.push(...this.inlineTokensToDelta(token.tokens, workspaceId, { ...attributes, italic: true }));
+                    break;
+                case 'del':
+                    delta.push(...this.inlineTokensToDelta(token.tokens, workspaceId, { ...attributes, strike: true }));
+                    break;
+                case 'codespan':
+                    push(token.text, { code: true });
+                    break;
+                case 'link': {
+                    // Links to docs of this workspace become inline doc references
+                    const pageId = token.href.startsWith(docUrlPrefix) ? token.href.slice(docUrlPrefix.length) : null;
+                    if (pageId && /^[\w-]+$/.test(pageId)) {
+                        delta.push({ insert: ' ', attributes: { reference: { type: 'LinkedPage', pageId } } });
+                    } else {
+                        delta.push(...this.inlineTokensToDelta(token.tokens, workspaceId, { ...attributes, link: token.href }));
+                    }
+                    break;
+                }
+                case 'image':
+                    push(token.text || token.href, { link: token.href });
+                    break;
+                case 'br':
+                    push('\n');
+                    break;
+                case 'checkbox':
+                    break;
+                default:
+                    if (token.tokens) {
+                        delta.push(...this.inlineTokensToDelta(token.tokens, workspaceId, attributes));
+                    } else {
+                        push(token.text);
+                    }
+            }
+        }
+
+        return delta;
+    }
+
+    /**
+     * Convert a Markdown string into block specs (`{ flavour, props, text, children }`)
+     * that createBlock can write into a doc
+     */
+    markdownToBlocks(markdown, workspaceId) {
+        return this.markdownTokensToBlocks(marked.lexer(markdown || ''), workspaceId);
+    }
+
+    markdownTokensToBlocks(tokens, workspaceId) {
+        const blocks = [];
+        const paragraph = (type, delta) => ({
+            flavour: 'affine:paragraph',
+            props: { type },
+            text: delta,
+            children: [],
+        });
+
+        for (const token of tokens) {
+            switch (token.type) {
+                case 'space':
+                    break;
+                case 'heading':
+                    blocks.push(paragraph(`h${Math.min(token.depth, 6)}`, this.inlineTokensToDelta(token.tokens, workspaceId)));
+                    break;
+                case 'paragraph': {
+                    // A paragraph holding only blob images becomes image blocks
+                    const blobPrefix = this.getBlobUrl(workspaceId, '');
+                    const content = token.tokens.filter(child => !(child.type === 'text' && !child.text.trim()));
+                    if (content.length > 0 && content.every(child => child.type === 'image' && child.href.startsWith(blobPrefix))) {
+                        for (const image of content) {
+                            blocks.push({
+                                flavour: 'affine:image',
+                                props: {
+                                    sourceId: image.href.slice(blobPrefix.length),
+                                    caption: image.text || '',
+                                    width: 0,
+                                    height: 0,
+                                    index: 'a0',
+                                    xywh: '[0,0,0,0]',
+                                    rotate: 0,
+                                    size: -1,
+                                },
+                                children: [],
+                            });
+                        }
+                    } else {
+                        blocks.push(paragraph('text', this.inlineTokensToDelta(token.tokens, workspaceId)));
+                    }
+                    break;
+                }
+                case 'blockquote':
+                    for (const child of this.markdownTokensToBlocks(token.tokens, workspaceId)) {
+                        if (child.flavour === 'affine:paragraph') {
+                            child.props.type = 'quote';
+                        }
+                        blocks.push(child);
+                    }
+                    break;
+                case 'list':
+                    for (const item of token.items) {
+                        const [first, ...rest] = item.tokens.filter(child => child.type !== 'checkbox');
+                        const hasText = first && (first.type === 'text' || first.type === 'paragraph');
+                        blocks.push({
+                            flavour: 'affine:list',
+                            props: {
+                                type: item.task ? 'todo' : token.ordered ? 'numbered' : 'bulleted',
+                                checked: !!item.checked,
+                                collapsed: false,
+                                order: null,
+                            },
+                            text: hasText ? this.inlineTokensToDelta(first.tokens, workspaceId) : [],
+                            children: this.markdownTokensToBlocks(hasText ? rest : item.tokens, workspaceId),
+                        });
+                    }
+                    break;
+                case 'code':
+                    blocks.push({
+                        flavour: 'affine:code',
+                        props: { language: token.lang || null, wrap: false, caption: '' },
+                        text: token.text ? [{ insert: token.text }] : [],
+                        children: [],
+                    });
+                    break;
+                case 'hr':
+                    blocks.push({ flavour: 'affine:divider', props: {}, children: [] });
+                    break;
+                case 'table':
+                    blocks.push(this.markdownTableToBlock(token, workspaceId));
+                    break;
+                default:
+                    if (token.text?.trim()) {
+                        blocks.push(paragraph('text', [{ insert: token.text.trim() }]));
+                    }
+            }
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Convert a marked table token into an affine:table block spec. Table
+     * props are flat keys (`rows.<id>.order`, `cells.<row>:<column>.text`).
+     */
+    markdownTableToBlock(token, workspaceId) {
+        const props = {};
+        const texts = {};
+        const columnIds = token.header.map(() => this.generateBlockId());
+        let columnIndex = null;
+        columnIds.forEach(columnId => {
+            columnIndex = this.generateIndexAfter(columnIndex);
+            props[`columns.${columnId}.columnId`] = columnId;
+            props[`columns.${columnId}.order`] = columnIndex;
+        });
+
+        let rowIndex = null;
+        for (const row of [token.header, ...token.rows]) {
+            const rowId = this.generateBlockId();
+            rowIndex = this.generateIndexAfter(rowIndex);
+            props[`rows.${rowId}.rowId`] = rowId;
+            props[`rows.${rowId}.order`] = rowIndex;
+            row.forEach((cell, index) => {
+                texts[`cells.${rowId}:${columnIds[index]}.text`] = this.inlineTokensToDelta(cell.tokens, workspaceId);
+            });
+        }
+
+        return { flavour: 'affine:table', props, texts, children: [] };
+    }
+
+    /**
+     * Write a block spec (and its children) into a doc's blocks map.
+     * Returns the new block ID; the caller links it into its parent.
+     */
+    createBlock(ydoc, spec) {
+        const blocks = ydoc.getMap('blocks');
+        const id = spec.id || this.generateBlockId();
+        const yBlock = new Y.Map();
+        blocks.set(id, yBlock);
+
+        yBlock.set('sys:id', id);
+        yBlock.set('sys:flavour', spec.flavour);
+        yBlock.set('sys:version', BLOCK_VERSIONS[spec.flavour] || 1);
+
+        const texts = { ...spec.texts };
+        if (spec.text) {
+            texts.text = spec.text;
+        }
+        for (const [key, delta] of Object.entries(texts)) {
+            const yText = new Y.Text();
+            yBlock.set(`prop:${key}`, yText);
+            if (delta.length > 0) {
+                yText.applyDelta(delta);
+            }
+        }
+        for (const [key, value] of Object.entries(spec.props || {})) {
+            yBlock.set(`prop:${key}`, this.toYValue(value));
+        }
+
+        const children = new Y.Array();
+        yBlock.set('sys:children', children);
+        const childIds = (spec.children || []).map(child => this.createBlock(ydoc, child));
+        if (childIds.length > 0) {
+            children.push(childIds);
+        }
+
+        return id;
+    }
+
+    /**
+     * Convert plain objects and arrays into Y.Map / Y.Array, the way
+     * BlockSuite stores structured block props
+     */
+    toYValue(value) {
+        if (Array.isArray(value)) {
+            const array = new Y.Array();
+            array.push(value.map(item => this.toYValue(item)));
+            return array;
+        }
+        if (value && typeof value === 'object' && !(value instanceof Y.AbstractType)) {
+            return new Y.Map(Object.entries(value).map(([key, item]) => [key, this.toYValue(item)]));
+        }
+        return value;
+    }
+
+    /**
+     * Build a new page doc: page block, empty surface and a note holding the content
+     */
+    buildPageDoc(docId, title, specs) {
+        const ydoc = new Y.Doc({ guid: docId });
+
+        ydoc.transact(() => {
+            this.createBlock(ydoc, {
+                flavour: 'affine:page',
+                texts: { title: title ? [{ insert: title }] : [] },
+                children: [
+                    {
+                        flavour: 'affine:surface',
+                        props: {
+                            elements: new Y.Map([
+                                ['type', '$blocksuite:internal:native$'],
+                                ['value', new Y.Map()],
+                            ]),
+                        },
+                    },
+                    this.createNoteSpec(specs),
+                ],
+            });
+        });
+
+        return ydoc;
+    }
+
+    /**
+     * Spec of a page note holding the given blocks (an empty paragraph if none)
+     */
+    createNoteSpec(specs) {
+        return {
+            flavour: 'affine:note',
+            props: {
+                xywh: '[0,0,800,95]',
+                background: { dark: '#000000', light: '#ffffff' },
+                index: 'a0',
+                lockedBySelf: false,
+                hidden: false,
+                displayMode: 'both',
+                edgeless: {
+                    style: {
+                        borderRadius: 8,
+                        borderSize: 4,
+                        borderStyle: 'none',
+                        shadowType: '--affine-note-shadow-box',
+                    },
+                },
+            },
+            children: specs.length > 0 ? specs : [{ flavour: 'affine:paragraph', props: { type: 'text' }, text: [] }],
+        };
+    }
+
+    /**
+     * Find the first page-mode note block of a doc, where page content lives
+     */
+    findNoteBlock(ydoc) {
+        const blocks = ydoc.getMap('blocks');
+        const page = [...blocks.values()].find(block => block instanceof Y.Map && block.get('sys:flavour') === 'affine:page');
+        const childIds = page?.get('sys:children')?.toArray() || [];
+        const notes = childIds
+            .map(id => blocks.get(id))
+            .filter(block => block?.get('sys:flavour') === 'affine:note');
+        return notes.find(note => note.get('prop:displayMode') !== 'edgeless') || notes[0] || null;
+    }
+
+    /**
+     * Doc ID of a workspace database table (folders, doc properties, ...)
+     */
+    getWorkspaceDbDocId(tableName) {
+        return `db$${tableName}`;
+    }
+
+    /**
+     * Read live rows of a workspace database doc. Every row is a top-level
+     * Y.Map keyed by its ID; deleted rows keep a `$$DELETED` flag.
+     */
+    getDbRows(ydoc) {
+        const rows = [];
+        for (const key of ydoc.share.keys()) {
+            const row = ydoc.getMap(key);
+            if (row.get('$$DELETED')) continue;
+            rows.push({ id: key, ...row.toJSON() });
+        }
+        return rows;
+    }
+
+    async createDocument(workspaceId, title, markdown = '', parentDocId = null, folderId = null) {
+        this.debugLog(`📝 Creating document "${title}" in workspace ${workspaceId}`);
+
+        if (typeof title !== 'string') {
+            throw new McpError(ErrorCode.InvalidParams, 'title must be a string');
+        }
+
+        try {
+            const docId = this.generateBlockId();
+            const specs = this.markdownToBlocks(markdown, workspaceId);
+
+            // get_document emits the title as a leading H1; don't duplicate it
+            const first = specs[0];
+            if (first?.props.type === 'h1' && this.deltaToPlainText(first.text).trim() === title.trim()) {
+                specs.shift();
+            }
+
+            const ydoc = this.buildPageDoc(docId, title, specs);
+            const updates = [{ docId, update: Y.encodeStateAsUpdate(ydoc) }];
+
+            // Register the doc in the workspace root doc so it shows up in page lists
+            updates.push(await this.prepareDocEdit(workspaceId, workspaceId, (rootDoc) => {
+                const meta = rootDoc.getMap('meta');
+                let pages = meta.get('pages');
+                if (!(pages instanceof Y.Array)) {
+                    pages = new Y.Array();
+                    meta.set('pages', pages);
+                }
+                const page = new Y.Map();
+                pages.push([page]);
+                page.set('id', docId);
+                page.set('title', title);
+                page.set('createDate', Date.now());
+                page.set('tags', new Y.Array());
+            }));
+
+            if (parentDocId) {
+                updates.push(await this.prepareDocEdit(workspaceId, parentDocId, (parentDoc) => {
+                    const note = this.findNoteBlock(parentDoc);
+                    if (!note) {
+                        throw new Error(`Parent document ${parentDocId} has no note block to link from`);
+                    }
+                    const linkId = this.createBlock(parentDoc, {
+                        flavour: 'affine:embed-linked-doc',
+                        props: { pageId: docId, style: 'horizontal', caption: null, index: 'a0', xywh: '[0,0,0,0]', rotate: 0 },
+                    });
+                    note.get('sys:children').push([linkId]);
+                }));
+            }
+
+            if (folderId) {
+                updates.push(await this.prepareDocEdit(workspaceId, this.getWorkspaceDbDocId('folders'), (foldersDoc) => {
+                    const rows = this.getDbRows(foldersDoc);
+                    if (!rows.some(row => row.id === folderId && row.type === 'folder')) {
+                        throw new Error(`Folder ${folderId} not found`);
+                    }
+                    const lastIndex = rows
+                        .filter(row => row.parentId === folderId && row.index)
+                        .map(row => row.index)
+                        .sort()
+                        .pop();
+                    const rowId = this.generateBlockId();
+                    const row = foldersDoc.getMap(rowId);
+                    row.set('id', rowId);
+                    row.set('parentId', folderId);
+                    row.set('type', 'doc');
+                    row.set('data', docId);
+                    row.set('index', this.generateIndexAfter(lastIndex));
+                }));
+            }
+
+            await this.pushDocUpdates(workspaceId, updates);
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `📝 **Document "${title}" created successfully**\n\n` +
+                            `**Document ID:** ${docId}\n` +
+                            `**Workspace ID:** ${workspaceId}\n` +
+                            `**Blocks:** ${specs.length}\n` +
+                            (parentDocId ? `**Linked from:** ${parentDocId}\n` : '') +
+                            (folderId ? `**Folder:** ${folderId}\n` : '') +
+                            `**URL:** ${this.getDocUrl(workspaceId, docId)}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to create document:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to create document: ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Find the block whose children contain the given block
+     */
+    findParentBlock(ydoc, blockId) {
+        for (const block of ydoc.getMap('blocks').values()) {
+            const children = block instanceof Y.Map ? block.get('sys:children') : null;
+            const index = children instanceof Y.Array ? children.toArray().indexOf(blockId) : -1;
+            if (index !== -1) {
+                return { parent: block, index };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Look up a content block that may be edited, rejecting structural blocks
+     */
+    getEditableBlock(ydoc, blockId) {
+        const block = ydoc.getMap('blocks').get(blockId);
+        if (!(block instanceof Y.Map)) {
+            throw new Error(`Block ${blockId} not found`);
+        }
+        const flavour = block.get('sys:flavour');
+        if (['affine:page', 'affine:surface', 'affine:note'].includes(flavour)) {
+            throw new Error(`Block ${blockId} (${flavour}) is structural and cannot be edited directly`);
+        }
+        const location = this.findParentBlock(ydoc, blockId);
+        if (!location) {
+            throw new Error(`Block ${blockId} is not attached to the document`);
+        }
+        return { block, ...location };
+    }
+
+    /**
+     * Remove a block and all of its descendants from the blocks map
+     */
+    deleteBlockTree(ydoc, blockId) {
+        const blocks = ydoc.getMap('blocks');
+        const block = blocks.get(blockId);
+        const children = block instanceof Y.Map ? block.get('sys:children') : null;
+        for (const childId of children instanceof Y.Array ? children.toArray() : []) {
+            this.deleteBlockTree(ydoc, childId);
+        }
+        blocks.delete(blockId);
+    }
+
+    /**
+     * Write block specs into a doc and link them into a parent at an index
+     */
+    insertBlocks(ydoc, parent, index, specs) {
+        const ids = specs.map(spec => this.createBlock(ydoc, spec));
+        if (ids.length > 0) {
+            parent.get('sys:children').insert(index, ids);
+        }
+        return ids;
+    }
+
+    /**
+     * Rewrite a Y.Text to match a delta, touching only the changed middle
+     * section so concurrent edits elsewhere in the text survive
+     */
+    updateYText(yText, delta) {
+        const toUnits = ops => ops.flatMap(op => {
+            const attributes = JSON.stringify(op.attributes || {});
+            return typeof op.insert === 'string'
+                ? [...op.insert].map(char => ({ insert: char, attributes, key: char + attributes }))
+                : [{ insert: op.insert, attributes, key: JSON.stringify(op.insert) + attributes }];
+        });
+        const current = toUnits(yText.toDelta());
+        const target = toUnits(delta);
+
+        let prefix = 0;
+        while (prefix < current.length && prefix < target.length && current[prefix].key === target[prefix].key) {
+            prefix++;
+        }
+        let suffix = 0;
+        while (
+            suffix < current.length - prefix &&
+            suffix < target.length - prefix &&
+            current[current.length - 1 - suffix].key === target[target.length - 1 - suffix].key
+        ) {
+            suffix++;
+        }
+
+        // Y.Text offsets count UTF-16 code units, not code points
+        const offset = units => units.reduce((length, unit) => length + (typeof unit.insert === 'string' ? unit.insert.length : 1), 0);
+        const start = offset(current.slice(0, prefix));
+        const removed = offset(current.slice(prefix, current.length - suffix));
+        const inserted = target.slice(prefix, target.length - suffix);
+
+        if (removed > 0) {
+            yText.delete(start, removed);
+        }
+        let position = start;
+        for (const unit of inserted) {
+            const attributes = JSON.parse(unit.attributes);
+            if (typeof unit.insert === 'string') {
+                yText.insert(position, unit.insert, attributes);
+                position += unit.insert.length;
+            } else {
+                yText.insertEmbed(position, unit.insert, attributes);
+                position += 1;
+            }
+        }
+    }
+
+    /**
+     * Push a single-doc edit and summarize it for the caller
+     */
+    async applyBlockEdit(workspaceId, docId, action, mutate) {
+        this.debugLog(`✏️ ${action} in document ${docId} of workspace ${workspaceId}`);
+
+        try {
+            const edit = await this.prepareDocEdit(workspaceId, docId, mutate);
+            await this.pushDocUpdates(workspaceId, [edit]);
+            return edit.result;
+        } catch (error) {
+            this.debugLog(`❌ Failed to edit document:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to edit document: ${error.message}`
+            );
+        }
+    }
+
+    async appendToDocument(workspaceId, docId, markdown) {
+        const specs = this.markdownToBlocks(markdown, workspaceId);
+        const ids = await this.applyBlockEdit(workspaceId, docId, 'Appending blocks', (ydoc) => {
+            const note = this.findNoteBlock(ydoc);
+            if (!note) {
+                throw new Error(`Document ${docId} has no note block to append to`);
+            }
+            return this.insertBlocks(ydoc, note, note.get('sys:children').length, specs);
+        });
+
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: `✅ **Appended ${ids.length} block(s) to document**\n\n` +
+                        `**Document ID:** ${docId}\n` +
+                        `**New Block IDs:** ${ids.join(', ') || 'None'}`,
+                },
+            ],
+        };
+    }
+
+    async insertBlockAfter(workspaceId, docId, blockId, markdown) {
+        const specs = this.markdownToBlocks(markdown, workspaceId);
+        const ids = await this.applyBlockEdit(workspaceId, docId, `Inserting blocks after ${blockId}`, (ydoc) => {
+            const { parent, index } = this.getEditableBlock(ydoc, blockId);
+            return this.insertBlocks(ydoc, parent, index + 1, specs);
+        });
+
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: `✅ **Inserted ${ids.length} block(s) after ${blockId}**\n\n` +
+                        `**Document ID:** ${docId}\n` +
+                        `**New Block IDs:** ${ids.join(', ') || 'None'}`,
+                },
+            ],
+        };
+    }
+
+    async replaceBlock(workspaceId, docId, blockId, markdown) {
+        const specs = this.markdownToBlocks(markdown, workspaceId);
+        const ids = await this.applyBlockEdit(workspaceId, docId, `Replacing block ${blockId}`, (ydoc) => {
+            const { block, parent, index } = this.getEditableBlock(ydoc, blockId);
+            const [spec] = specs;
+
+            // Same-flavour text replacements are edited in place to keep the
+            // block ID, its children and untouched parts of the text
+            if (
+                specs.length === 1 &&
+                spec.flavour === block.get('sys:flavour') &&
+                spec.children.length === 0 &&
+                block.get('prop:text') instanceof Y.Text
+            ) {
+                for (const [key, value] of Object.entries(spec.props)) {
+                    if (JSON.stringify(block.get(`prop:${key}`)) !== JSON.stringify(value)) {
+                        block.set(`prop:${key}`, value);
+                    }
+                }
+                this.updateYText(block.get('prop:text'), spec.text || []);
+                return [blockId];
+            }
+
+            this.deleteBlockTree(ydoc, blockId);
+            parent.get('sys:children').delete(index, 1);
+            return this.insertBlocks(ydoc, parent, index, specs);
+        });
+
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: `✅ **Replaced block ${blockId}**\n\n` +
+                        `**Document ID:** ${docId}\n` +
+                        `**Block IDs:** ${ids.join(', ') || 'None (block removed)'}`,
+                },
+            ],
+        };
+    }
+
+    async deleteBlock(workspaceId, docId, blockId) {
+        await this.applyBlockEdit(workspaceId, docId, `Deleting block ${blockId}`, (ydoc) => {
+            const { parent, index } = this.getEditableBlock(ydoc, blockId);
+            this.deleteBlockTree(ydoc, blockId);
+            parent.get('sys:children').delete(index, 1);
+        });
+
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: `🗑️ **Block deleted successfully**\n\n` +
+                        `**Document ID:** ${docId}\n` +
+                        `**Block ID:** ${blockId}\n` +
+                        `The block and its nested blocks have been removed.`,
+                },
+            ],
+        };
+    }
+
+    /**
+     * Render block specs the way they would render once written to a doc
+     */
+    renderBlockSpecs(specs, workspaceId) {
+        if (specs.length === 0) return [];
+        const scratch = this.getBlockTree(this.buildPageDoc('scratch', '', specs));
+        return scratch.children
+            .find(child => child.flavour === 'affine:note').children
+            .map(block => this.renderBlocksAsMarkdown(block, workspaceId));
+    }
+
+    /**
+     * Make a doc's page content match a Markdown document. Top-level blocks
+     * are compared by their rendered Markdown so only changed blocks are
+     * removed or inserted. Blocks whose Markdown doesn't parse back into the
+     * same block (databases, callouts, titled embeds, blocks the canvas
+     * refers to) are matched by ID and never rebuilt; the edit is refused if
+     * the Markdown changes them.
+     */
+    applyMarkdownToDoc(ydoc, markdown, workspaceId) {
+        const note = this.findNoteBlock(ydoc);
+        if (!note) {
+            throw new Error('Document has no note block to write to');
+        }
+
+        const root = this.getBlockTree(ydoc);
+        const noteId = note.get('sys:id');
+        const surface = root.children.find(child => child.flavour === 'affine:surface');
+        const surfaceJson = surface ? JSON.stringify(surface.props) : '';
+
+        const isRebuildable = (block, rendered) => {
+            if (surfaceJson.includes(block.id)) return false;
+            const specs = this.markdownToBlocks(rendered, workspaceId);
+            return specs.length === 1 &&
+                specs[0].flavour === block.flavour &&
+                this.renderBlockSpecs(specs, workspaceId)[0] === rendered;
+        };
+        const keepKey = blockId => `\u0000block:${blockId}`;
+
+        // Blocks that render to nothing aren't part of the Markdown and stay put
+        const current = root.children
+            .find(child => child.id === noteId).children
+            .map(block => ({ block, markdown: this.renderBlocksAsMarkdown(block, workspaceId) }))
+            .filter(entry => entry.markdown !== '')
+            .map(entry => ({ ...entry, rebuildable: isRebuildable(entry.block, entry.markdown) }));
+        const currentKeys = current.map(entry => (entry.rebuildable ? entry.markdown : keepKey(entry.block.id)));
+        const kept = current.filter(entry => !entry.rebuildable);
+
+        // Cut the kept blocks' Markdown out of the target, in document order
+        const targetSpecs = [];
+        const targetKeys = [];
+        const addMarkdown = text => {
+            const specs = this.markdownToBlocks(text, workspaceId);
+            // Rendered Markdown starts with the title as an H1; it is not a block
+            const first = specs[0];
+            if (targetSpecs.length === 0 && first?.props.type === 'h1' &&
+                this.deltaToPlainText(first.text).trim() === (root.props.title || '').trim()) {
+                specs.shift();
+            }
+            targetSpecs.push(...specs);
+            targetKeys.push(...this.renderBlockSpecs(specs, workspaceId));
+        };
+        let rest = markdown || '';
+        for (const { block, markdown: blockMarkdown } of kept) {
+            const at = rest.indexOf(blockMarkdown);
+            if (at === -1) {
+                throw new Error(`The edit would change, move or remove block ${block.id} (${block.flavour}), which can't be rebuilt from Markdown without losing data. Edit it in AFFiNE or with the block tools instead.`);
+            }
+            addMarkdown(rest.slice(0, at));
+            targetSpecs.push(null);
+            targetKeys.push(keepKey(block.id));
+            rest = rest.slice(at + blockMarkdown.length);
+        }
+        addMarkdown(rest);
+
+        const children = note.get('sys:children');
+        const indexOf = blockId => children.toArray().indexOf(blockId);
+        const summary = { kept: 0, removed: 0, added: 0 };
+        let currentIndex = 0;
+        let targetIndex = 0;
+        let previousId = null;
+
+        for (const part of diffArrays(currentKeys, targetKeys)) {
+            const count = part.value.length;
+            if (part.removed) {
+                const removed = current.slice(currentIndex, currentIndex + count);
+                const locked = removed.find(entry => !entry.rebuildable);
+                if (locked) {
+                    throw new Error(`The edit would move block ${locked.block.id} (${locked.block.flavour}), which can't be rebuilt from Markdown without losing data. Edit it in AFFiNE or with the block tools instead.`);
+                }
+                for (const { block } of removed) {
+                    this.deleteBlockTree(ydoc, block.id);
+                    children.delete(indexOf(block.id), 1);
+                }
+                currentIndex += count;
+                summary.removed += count;
+            } else if (part.added) {
+                const specs = targetSpecs.slice(targetIndex, targetIndex + count);
+                if (specs.includes(null)) {
+                    throw new Error('The edit would move blocks that can\'t be rebuilt from Markdown without losing data. Edit them in AFFiNE or with the block tools instead.');
+                }
+                const ids = this.insertBlocks(ydoc, note, previousId ? indexOf(previousId) + 1 : 0, specs);
+                previousId = ids[ids.length - 1] ?? previousId;
+                targetIndex += count;
+                summary.added += count;
+            } else {
+                previousId = current[currentIndex + count - 1].block.id;
+                currentIndex += count;
+                targetIndex += count;
+                summary.kept += count;
+            }
+        }
+
+        // Never push an edit that lost a block we promised to keep
+        const blocks = ydoc.getMap('blocks');
+        const lost = kept.find(({ block }) => !blocks.has(block.id) || indexOf(block.id) === -1);
+        if (lost) {
+            throw new Error(`Block ${lost.block.id} (${lost.block.flavour}) would be lost by this edit`);
+        }
+
+        return summary;
+    }
+
+    async editDocumentWithInstructions(docId, workspaceId, instructions, updates, dryRun = false, showDiff = false) {
+        this.debugLog(`🤖 Merging instructed edits into document ${docId} in workspace ${workspaceId} (dryRun: ${dryRun})`);
+
+        const query = `
+            query($workspaceId: String!, $docId: String!, $op: String!, $updates: String!) {
+                applyDocUpdates(workspaceId: $workspaceId, docId: $docId, op: $op, updates: $updates)
+            }
+        `;
+
+        try {
+            const data = await this.makeGraphQLRequest(query, {
+                workspaceId,
+                docId,
+                op: instructions,
+                updates
+            });
+            const merged = data.applyDocUpdates;
+
+            let diffText = '';
+            if (showDiff) {
+                const root = this.getBlockTree(await this.loadDoc(workspaceId, docId));
+                const current = root ? this.renderBlocksAsMarkdown(root, workspaceId) : '';
+                diffText = createTwoFilesPatch(`${docId} (current)`, `${docId} (merged)`, current + '\n', merged + '\n');
+            }
+
+            if (dryRun) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `🤖 **Merged document preview (not applied)**\n\n` +
+                                `**Document ID:** ${docId}\n` +
+                                `**Instructions:** ${instructions}\n\n` +
+                                (diffText ? `**Diff:**\n\n\`\`\`diff\n${diffText}\`\`\`\n\n` : '') +
+                                `**Merged Markdown:**\n\n${merged}`,
+                        },
+                    ],
+                };
+            }
+
+            const edit = await this.prepareDocEdit(workspaceId, docId, ydoc => this.applyMarkdownToDoc(ydoc, merged, workspaceId));
+            await this.pushDocUpdates(workspaceId, [edit]);
+            const summary = edit.result;
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🤖 **Document updated from instructions**\n\n` +
+                            `**Document ID:** ${docId}\n` +
+                            `**Instructions:** ${instructions}\n` +
+                            `**Blocks:** ${summary.kept} unchanged, ${summary.removed} removed, ${summary.added} added` +
+                            (diffText ? `\n\n**Diff:**\n\n\`\`\`diff\n${diffText}\`\`\`` : ''),
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to edit document with instructions:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to edit document with instructions: ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Decode a database cell into a JSON-friendly value: option IDs become
+     * their labels and dates ISO strings
+     */
+    decodeDatabaseValue(column, value) {
+        if (value === undefined || value === null) return null;
+
+        const options = column.data?.options || [];
+        const optionValue = id => options.find(option => option.id === id)?.value ?? id;
+
+        switch (column.type) {
+            case 'select':
+                return optionValue(value);
+            case 'multi-select':
+                return (Array.isArray(value) ? value : [value]).map(optionValue);
+            case 'checkbox':
+                return !!value;
+            case 'date': {
+                const date = new Date(value);
+                return Number.isNaN(date.getTime()) ? value : date.toISOString();
+            }
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Find an affine:database block in a block tree; without a block ID the
+     * doc must contain exactly one database
+     */
+    findDatabaseBlock(root, blockId) {
+        const databases = this.flattenBlocks(root).filter(block => block.flavour === 'affine:database');
+        if (blockId) {
+            const database = databases.find(block => block.id === blockId);
+            if (!database) {
+                throw new Error(`Database block ${blockId} not found`);
+            }
+            return database;
+        }
+        if (databases.length !== 1) {
+            throw new Error(databases.length === 0
+                ? 'Document has no database blocks'
+                : `Document has ${databases.length} database blocks, specify blockId: ${databases.map(block => `${block.id} (${block.props.title || 'Untitled'})`).join(', ')}`);
+        }
+        return databases[0];
+    }
+
+    /**
+     * Resolve a database column by ID or (case-insensitive) name
+     */
+    findDatabaseColumn(columns, key) {
+        return columns.find(column => column.id === key) ||
+            columns.find(column => column.name?.toLowerCase() === String(key).toLowerCase()) ||
+            null;
+    }
+
+    /**
+     * Decode a database block into columns and rows keyed by column name
+     */
+    getDatabaseRows(block) {
+        const columns = Array.isArray(block.props.columns) ? block.props.columns : [];
+        const cells = block.props.cells || {};
+
+        const rows = block.children.map(row => {
+            const values = {};
+            for (const column of columns) {
+                values[column.name || column.id] = column.type === 'title'
+                    ? this.deltaToPlainText(row.text)
+                    : this.decodeDatabaseValue(column, cells[row.id]?.[column.id]?.value);
+            }
+            return { id: row.id, values };
+        });
+
+        return {
+            columns: columns.map(column => ({ id: column.id, name: column.name, type: column.type })),
+            rows,
+        };
+    }
+
+    /**
+     * Check a decoded cell value against a `{ column, op, value }` filter
+     */
+    matchesDatabaseFilter(cell, filter) {
+        const op = filter.op || 'eq';
+        const isEmpty = cell === null || cell === undefined || cell === '' || (Array.isArray(cell) && cell.length === 0);
+        const normalize = value => (typeof value === 'string' ? value.toLowerCase() : value);
+        const values = Array.isArray(cell) ? cell.map(normalize) : [normalize(cell)];
+        const expected = normalize(filter.value);
+
+        switch (op) {
+            case 'eq':
+                return values.includes(expected);
+            case 'neq':
+                return !values.includes(expected);
+            case 'contains':
+                return values.some(value => String(value ?? '').includes(String(expected)));
+            case 'gt':
+                return !isEmpty && cell > filter.value;
+            case 'lt':
+                return !isEmpty && cell < filter.value;
+            case 'empty':
+                return isEmpty;
+            case 'not_empty':
+                return !isEmpty;
+            default:
+                throw new Error(`Unknown filter operator "${op}"`);
+        }
+    }
+
+    async getDocumentProperties(docId, workspaceId) {
+        this.debugLog(`🗂️ Getting properties of document ${docId} in workspace ${workspaceId}`);
+
+        try {
+            const [structure, propertiesDoc, propertyInfoDoc] = await Promise.all([
+                this.loadWorkspaceStructure(workspaceId),
+                this.loadDoc(workspaceId, this.getWorkspaceDbDocId('docProperties'), true),
+                this.loadDoc(workspaceId, this.getWorkspaceDbDocId('docCustomPropertyInfo'), true),
+            ]);
+
+            const page = structure.pages.find(entry => entry.id === docId);
+            if (!page) {
+                throw new Error(`Document ${docId} not found in workspace page list`);
+            }
+
+            const { id, ...values } = this.getDbRows(propertiesDoc).find(row => row.id === docId) || {};
+            const definitions = this.getDbRows(propertyInfoDoc).filter(row => !row.isDeleted);
+
+            const properties = Object.entries(values).map(([key, value]) => {
+                const definition = definitions.find(row => row.id === key);
+                return {
+                    id: key,
+                    name: definition?.name || key,
+                    type: definition?.type || 'builtin',
+                    value,
+                };
+            });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: JSON.stringify({
+                            docId,
+                            title: page.title || null,
+                            createDate: page.createDate ? new Date(page.createDate).toISOString() : null,
+                            updatedDate: page.updatedDate ? new Date(page.updatedDate).toISOString() : null,
+                            trash: !!page.trash,
+                            tags: (page.tags || []).map(tagId => structure.tags.find(tag => tag.id === tagId)?.value || tagId),
+                            properties,
+                        }, null, 2),
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to get document properties:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to get document properties: ${error.message}`
+            );
+        }
+    }
+
+    async queryDatabase(docId, workspaceId, blockId = null, filters = [], sort = null, limit = 100) {
+        this.debugLog(`🗃️ Querying database in document ${docId} of workspace ${workspaceId}`, { blockId, filters, sort, limit });
+
+        try {
+            const root = this.getBlockTree(await this.loadDoc(workspaceId, docId));
+            if (!root) {
+                throw new Error(`Document ${docId} is empty`);
+            }
+            const database = this.findDatabaseBlock(root, blockId);
+            const { columns, rows } = this.getDatabaseRows(database);
+            const columnName = key => {
+                const column = this.findDatabaseColumn(columns, key);
+                if (!column) {
+                    throw new Error(`Column "${key}" not found. Columns: ${columns.map(entry => entry.name).join(', ')}`);
+                }
+                return column.name || column.id;
+            };
+
+            let matched = rows;
+            for (const filter of filters || []) {
+                const name = columnName(filter.column);
+                matched = matched.filter(row => this.matchesDatabaseFilter(row.values[name], filter));
+            }
+
+            if (sort?.column) {
+                const name = columnName(sort.column);
+                const direction = sort.direction === 'desc' ? -1 : 1;
+                matched = [...matched].sort((a, b) => {
+                    const left = a.values[name];
+                    const right = b.values[name];
+                    if (left === right) return 0;
+                    if (left === null || left === undefined) return 1;
+                    if (right === null || right === undefined) return -1;
+                    return (left < right ? -1 : 1) * direction;
+                });
+            }
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: JSON.stringify({
+                            docId,
+                            blockId: database.id,
+                            title: database.props.title || null,
+                            columns,
+                            totalRows: rows.length,
+                            matchedRows: matched.length,
+                            rows: matched.slice(0, limit),
+                        }, null, 2),
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to query database:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to query database: ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Convert a caller-supplied value into what a database column stores.
+     * Unknown select labels are added to the column as new options.
+     */
+    toDatabaseValue(yColumn, column, value) {
+        const optionId = label => {
+            const options = column.data?.options || [];
+            const existing = options.find(option => option.id === label) ||
+                options.find(option => option.value?.toLowerCase() === String(label).toLowerCase());
+            if (existing) {
+                return existing.id;
+            }
+            const yOptions = yColumn instanceof Y.Map ? yColumn.get('data')?.get?.('options') : null;
+            if (!(yOptions instanceof Y.Array)) {
+                throw new Error(`Option "${label}" does not exist in column "${column.name}"`);
+            }
+            const option = { id: this.generateBlockId(), value: String(label), color: 'var(--affine-tag-blue)' };
+            yOptions.push([this.toYValue(option)]);
+            options.push(option);
+            return option.id;
+        };
+
+        switch (column.type) {
+            case 'select':
+                return optionId(value);
+            case 'multi-select':
+                return (Array.isArray(value) ? value : [value]).map(optionId);
+            case 'checkbox':
+                return value === true || value === 'true';
+            case 'number':
+            case 'progress': {
+                const number = Number(value);
+                if (Number.isNaN(number)) {
+                    throw new Error(`Column "${column.name}" expects a number`);
+                }
+                return number;
+            }
+            case 'date': {
+                const date = typeof value === 'number' ? value : Date.parse(value);
+                if (Number.isNaN(date)) {
+                    throw new Error(`Column "${column.name}" expects a date`);
+                }
+                return date;
+            }
+            case 'rich-text': {
+                const yText = new Y.Text();
+                yText.insert(0, String(value));
+                return yText;
+            }
+            default:
+                return String(value);
+        }
+    }
+
+    async updateDatabaseRow(docId, workspaceId, blockId, rowId, values) {
+        this.debugLog(`🗃️ Updating row ${rowId} of database ${blockId} in document ${docId}`, values);
+
+        try {
+            const edit = await this.prepareDocEdit(workspaceId, docId, (ydoc) => {
+                const blocks = ydoc.getMap('blocks');
+                const yDatabase = blocks.get(blockId);
+                if (!(yDatabase instanceof Y.Map) || yDatabase.get('sys:flavour') !== 'affine:database') {
+                    throw new Error(`Database block ${blockId} not found`);
+                }
+                const rowIds = yDatabase.get('sys:children')?.toArray() || [];
+                if (!rowIds.includes(rowId)) {
+                    throw new Error(`Row ${rowId} not found in database ${blockId}`);
+                }
+
+                const yColumns = yDatabase.get('prop:columns');
+                const yColumnList = yColumns instanceof Y.Array ? yColumns.toArray() : [];
+                const columns = yColumnList.map(yColumn => (yColumn instanceof Y.Map ? yColumn.toJSON() : yColumn));
+                let yCells = yDatabase.get('prop:cells');
+                if (!(yCells instanceof Y.Map)) {
+                    yCells = new Y.Map();
+                    yDatabase.set('prop:cells', yCells);
+                }
+                let yRow = yCells.get(rowId);
+                if (!(yRow instanceof Y.Map)) {
+                    yRow = new Y.Map();
+                    yCells.set(rowId, yRow);
+                }
+
+                const updated = [];
+                for (const [key, value] of Object.entries(values || {})) {
+                    const column = this.findDatabaseColumn(columns, key);
+                    if (!column) {
+                        throw new Error(`Column "${key}" not found. Columns: ${columns.map(entry => entry.name).join(', ')}`);
+                    }
+
+                    if (column.type === 'title') {
+                        this.updateYText(blocks.get(rowId).get('prop:text'), value ? [{ insert: String(value) }] : []);
+                    } else if (value === null) {
+                        yRow.delete(column.id);
+                    } else {
+                        const yColumn = yColumnList[columns.indexOf(column)];
+                        yRow.set(column.id, this.toYValue({
+                            columnId: column.id,
+                            value: this.toDatabaseValue(yColumn, column, value),
+                        }));
+                    }
+                    updated.push(column.name || column.id);
+                }
+                return updated;
+            });
+
+            await this.pushDocUpdates(workspaceId, [edit]);
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🗃️ **Database row updated successfully**\n\n` +
+                            `**Document ID:** ${docId}\n` +
+                            `**Database Block:** ${blockId}\n` +
+                            `**Row ID:** ${rowId}\n` +
+                            `**Updated Columns:** ${edit.result.join(', ') || 'None'}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to update database row:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to update database row: ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Parse a BlockSuite "[x,y,w,h]" bounds string
+     */
+    parseXYWH(xywh) {
+        try {
+            const [x, y, w, h] = JSON.parse(xywh);
+            return { x, y, w, h };
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Collect the edgeless canvas of a doc: surface elements (shapes, text,
+     * connectors, groups) plus canvas blocks (notes, frames, images, ...)
+     */
+    getEdgelessGraph(root) {
+        const nodes = [];
+        const edges = [];
+        const frames = [];
+
+        for (const block of this.flattenBlocks(root)) {
+            if (block.flavour === 'affine:surface') {
+                const elements = block.props.elements?.value || {};
+                for (const [id, element] of Object.entries(elements)) {
+                    if (element.type === 'connector') {
+                        edges.push({
+                            id,
+                            from: element.source?.id || null,
+                            to: element.target?.id || null,
+                            fromPosition: element.source?.id ? null : element.source?.position || null,
+                            toPosition: element.target?.id ? null : element.target?.position || null,
+                            label: typeof element.text === 'string' ? element.text : null,
+                        });
+                    } else {
+                        nodes.push({
+                            id,
+                            kind: 'element',
+                            type: element.type === 'shape' ? `shape:${element.shapeType || 'rect'}` : element.type,
+                            text: typeof element.text === 'string'
+                                ? element.text
+                                : (typeof element.title === 'string' ? element.title : null),
+                            bounds: this.parseXYWH(element.xywh),
+                            children: element.children ? Object.keys(element.children) : undefined,
+                        });
+                    }
+                }
+                continue;
+            }
+
+            if (!block.props.xywh || block.flavour === 'affine:page') continue;
+            const bounds = this.parseXYWH(block.props.xywh);
+
+            if (block.flavour === 'affine:frame') {
+                frames.push({ id: block.id, title: block.props.title || null, bounds, contains: [] });
+                continue;
+            }
+            if (block.flavour === 'affine:note' && block.props.displayMode === 'doc') {
+                // Page-only notes are not shown on the canvas
+                continue;
+            }
+
+            const text = this.renderBlocksAsText(block).trim();
+            nodes.push({
+                id: block.id,
+                kind: 'block',
+                type: block.flavour.replace(/^affine:/, ''),
+                text: text ? text.slice(0, 500) : null,
+                bounds,
+            });
+        }
+
+        const inside = (outer, inner) => outer && inner &&
+            inner.x >= outer.x && inner.y >= outer.y &&
+            inner.x + inner.w <= outer.x + outer.w && inner.y + inner.h <= outer.y + outer.h;
+        for (const frame of frames) {
+            frame.contains = nodes.filter(node => inside(frame.bounds, node.bounds)).map(node => node.id);
+        }
+
+        return { nodes, edges, frames };
+    }
+
+    /**
+     * Render an edgeless graph as a Mermaid flowchart; frames become subgraphs
+     */
+    renderEdgelessAsMermaid(graph) {
+        const ids = new Map(graph.nodes.map((node, index) => [node.id, `n${index + 1}`]));
+        const label = text => `"${String(text || '').replace(/"/g, '#quot;').replace(/\n/g, '<br>')}"`;
+        const shape = node => {
+            const text = label(node.text || node.type);
+            switch (node.type) {
+                case 'shape:ellipse':
+                    return `((${text}))`;
+                case 'shape:diamond':
+                    return `{${text}}`;
+                case 'shape:triangle':
+                    return `[/${text}\\]`;
+                case 'note':
+                    return `[[${text}]]`;
+                default:
+                    return `[${text}]`;
+            }
+        };
+
+        const lines = ['flowchart LR'];
+        const framed = new Set();
+        graph.frames.forEach((frame, index) => {
+            lines.push(`    subgraph f${index + 1}[${label(frame.title || 'Frame')}]`);
+            for (const nodeId of frame.contains) {
+                if (framed.has(nodeId)) continue;
+                framed.add(nodeId);
+                const node = graph.nodes.find(entry => entry.id === nodeId);
+                lines.push(`        ${ids.get(nodeId)}${shape(node)}`);
+            }
+            lines.push('    end');
+        });
+        for (const node of graph.nodes) {
+            if (!framed.has(node.id) && node.type !== 'group') {
+                lines.push(`    ${ids.get(node.id)}${shape(node)}`);
+            }
+        }
+        for (const edge of graph.edges) {
+            if (!ids.has(edge.from) || !ids.has(edge.to)) continue;
+            const arrow = edge.label ? `-->|${label(edge.label)}|` : '-->';
+            lines.push(`    ${ids.get(edge.from)} ${arrow} ${ids.get(edge.to)}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Render an edgeless graph as a simple standalone SVG
+     */
+    renderEdgelessAsSvg(graph) {
+        const escape = text => String(text ?? '')
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const boxes = [...graph.frames, ...graph.nodes].map(entry => entry.bounds).filter(Boolean);
+        if (boxes.length === 0) {
+            return '<svg xmlns="http://www.w3.org/2000/svg" width="0" height="0"/>';
+        }
+
+        const margin = 20;
+        const minX = Math.min(...boxes.map(box => box.x)) - margin;
+        const minY = Math.min(...boxes.map(box => box.y)) - margin;
+        const maxX = Math.max(...boxes.map(box => box.x + box.w)) + margin;
+        const maxY = Math.max(...boxes.map(box => box.y + box.h)) + margin;
+        const center = box => [box.x + box.w / 2, box.y + box.h / 2];
+        const textLines = (text, box) => {
+            const lines = String(text || '').split('\n').slice(0, 6);
+            const [cx, cy] = center(box);
+            return `<text x="${cx}" y="${cy - (lines.length - 1) * 8}" text-anchor="middle" font-family="sans-serif" font-size="14">` +
+                lines.map((line, index) => `<tspan x="${cx}" dy="${index === 0 ? 0 : 16}">${escape(line.slice(0, 60))}</tspan>`).join('') +
+                '</text>';
+        };
+
+        const parts = [
+            `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${minX} ${minY} ${maxX - minX} ${maxY - minY}" width="${maxX - minX}" height="${maxY - minY}">`,
+            '<defs><marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="#555"/></marker></defs>',
+        ];
+
+        for (const frame of graph.frames) {
+            if (!frame.bounds) continue;
+            const { x, y, w, h } = frame.bounds;
+            parts.push(`<rect x="${x}" y="${y}" width="${w}" height="${h}" fill="#f4f4f5" stroke="#a1a1aa" stroke-dasharray="6 4"/>`);
+            parts.push(`<text x="${x + 8}" y="${y - 6}" font-family="sans-serif" font-size="14" fill="#52525b">${escape(frame.title || 'Frame')}</text>`);
+        }
+
+        for (const node of graph.nodes) {
+            if (!node.bounds || node.type === 'group') continue;
+            const { x, y, w, h } = node.bounds;
+            const [cx, cy] = center(node.bounds);
+            if (node.type === 'shape:ellipse') {
+                parts.push(`<ellipse cx="${cx}" cy="${cy}" rx="${w / 2}" ry="${h / 2}" fill="#fff" stroke="#1e96eb"/>`);
+            } else if (node.type === 'shape:diamond') {
+                parts.push(`<polygon points="${cx},${y} ${x + w},${cy} ${cx},${y + h} ${x},${cy}" fill="#fff" stroke="#1e96eb"/>`);
+            } else if (node.type === 'shape:triangle') {
+                parts.push(`<polygon points="${cx},${y} ${x + w},${y + h} ${x},${y + h}" fill="#fff" stroke="#1e96eb"/>`);
+            } else if (node.type !== 'text' && node.type !== 'edgeless-text') {
+                parts.push(`<rect x="${x}" y="${y}" width="${w}" height="${h}" rx="${node.type === 'note' ? 8 : 0}" fill="#fff" stroke="${node.kind === 'block' ? '#a1a1aa' : '#1e96eb'}"/>`);
+            }
+            if (node.text) {
+                parts.push(textLines(node.text, node.bounds));
+            }
+        }
+
+        const boundsById = new Map(graph.nodes.map(node => [node.id, node.bounds]));
+        for (const edge of graph.edges) {
+            const from = boundsById.get(edge.from) ? center(boundsById.get(edge.from)) : edge.fromPosition;
+            const to = boundsById.get(edge.to) ? center(boundsById.get(edge.to)) : edge.toPosition;
+            if (!from || !to) continue;
+            parts.push(`<line x1="${from[0]}" y1="${from[1]}" x2="${to[0]}" y2="${to[1]}" stroke="#555" marker-end="url(#arrow)"/>`);
+            if (edge.label) {
+                parts.push(`<text x="${(from[0] + to[0]) / 2}" y="${(from[1] + to[1]) / 2 - 4}" text-anchor="middle" font-family="sans-serif" font-size="12" fill="#555">${escape(edge.label)}</text>`);
+            }
+        }
+
+        parts.push('</svg>');
+        return parts.join('\n');
+    }
+
+    async getEdgelessCanvas(docId, workspaceId, format = 'json') {
+        this.debugLog(`🎨 Getting edgeless canvas of document ${docId} in workspace ${workspaceId} (format: ${format})`);
+
+        if (!['json', 'mermaid', 'svg'].includes(format)) {
+            throw new McpError(
+                ErrorCode.InvalidParams,
+                `Unknown format "${format}". Use json, mermaid or svg.`
+            );
+        }
+
+        try {
+            const root = this.getBlockTree(await this.loadDoc(workspaceId, docId));
+            if (!root) {
+                throw new Error(`Document ${docId} is empty`);
+            }
+            const graph = this.getEdgelessGraph(root);
+            const summary = `🎨 **Edgeless canvas of ${root.props.title || docId}**\n\n` +
+                `**Elements:** ${graph.nodes.length}\n` +
+                `**Connectors:** ${graph.edges.length}\n` +
+                `**Frames:** ${graph.frames.length}`;
+
+            if (format === 'mermaid') {
+                return {
+                    content: [
+                        { type: 'text', text: summary },
+                        { type: 'text', text: '```mermaid\n' + this.renderEdgelessAsMermaid(graph) + '\n```' },
+                    ],
+                };
+            }
+
+            if (format === 'svg') {
+                const svg = this.renderEdgelessAsSvg(graph);
+                return {
+                    content: [
+                        { type: 'text', text: summary },
+                        {
+                            type: 'resource',
+                            resource: {
+                                uri: `affine://workspace/${workspaceId}/docs/${docId}/canvas.svg`,
+                                mimeType: 'image/svg+xml',
+                                text: svg,
+                            },
+                        },
+                    ],
+                };
+            }
+
+            return {
+                content: [
+                    { type: 'text', text: summary },
+                    { type: 'text', text: JSON.stringify(graph, null, 2) },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to get edgeless canvas:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to get edgeless canvas: ${error.message}`
+            );
+        }
+    }
+
+    async listWorkspaces() {
+        const workspaces = await this.getWorkspaces();
+
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: `**Available Workspaces:**\n\n${workspaces.map(ws => this.formatWorkspaceDisplay(ws)).join('\n\n')}`,
+                },
+            ],
+        };
+    }
+
+    async getWorkspaceInfo(workspaceId) {
+        const query = `
+      query($workspaceId: String!) {
+        workspace(id: $workspaceId) {
+          id
+          public
+          createdAt
+          memberCount
+          quota {
+            name
+            storageQuota
+            usedStorageQuota
+            memberLimit
+            memberCount
+          }
+          owner {
+            name
+            email
+          }
+        }
+      }
+    `;
+
+        const data = await this.makeGraphQLRequest(query, { workspaceId });
+        const workspace = data.workspace;
+
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: `**Workspace**\n\n` +
+                        `**ID:** ${workspace.id}\n` +
+                        `**Public:** ${workspace.public ? 'Yes' : 'No'}\n` +
+                        `**Created:** ${new Date(workspace.createdAt).toLocaleString()}\n` +
+                        `**Owner:** ${workspace.owner.name} (${workspace.owner.email})\n` +
+                        `**Members:** ${workspace.memberCount}\n\n` +
+                        `**Quota Information:**\n` +
+                        `• Plan: ${workspace.quota.name}\n` +
+                        `• Storage: ${workspace.quota.usedStorageQuota} / ${workspace.quota.storageQuota}\n` +
+                        `• Members: ${workspace.quota.memberCount} / ${workspace.quota.memberLimit}`,
+                },
+            ],
+        };
+    }
+
+    async listMembers(workspaceId, query = null, skip = 0, take = 50) {
+        this.debugLog(`👥 Listing members of workspace ${workspaceId}`, { query, skip, take });
+
+        const membersQuery = `
+            query($workspaceId: String!, $query: String, $skip: Int, $take: Int) {
+                workspace(id: $workspaceId) {
+                    memberCount
+                    members(query: $query, skip: $skip, take: $take) {
+                        id
+                        name
+                        email
+                        role
+                        status
+                    }
+                }
+            }
+        `;
+
+        try {
+            const data = await this.makeGraphQLRequest(membersQuery, { workspaceId, query, skip, take });
+            const { members, memberCount } = data.workspace;
+
+            if (members.length === 0) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `👥 **No members found**\n\nWorkspace ID: ${workspaceId}${query ? `\nQuery: ${query}` : ''}`,
+                        },
+                    ],
+                };
+            }
+
+            const hasMore = !query && skip + members.length < memberCount;
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `👥 **Workspace Members (${members.length}${query ? ` matching "${query}"` : ` of ${memberCount}`})**\n\n` +
+                            members.map((member, index) =>
+                                `**${skip + index + 1}. ${member.name || 'Unnamed'}** (${member.email || 'no email'})\n` +
+                                `• **User ID:** ${member.id}\n` +
+                                `• **Role:** ${member.role}\n` +
+                                `• **Status:** ${member.status}`
+                            ).join('\n\n') +
+                            (hasMore ? `\n\n**More members available.** Use skip=${skip + members.length} to fetch the next page.` : ''),
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to list members:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to list members: ${error.message}`
+            );
+        }
+    }
+
+    async inviteMembers(workspaceId, emails, confirm) {
+        this.requireConfirmation(confirm, `invite ${emails?.length || 0} member(s) to workspace ${workspaceId}`);
+        this.debugLog(`✉️ Inviting members to workspace ${workspaceId}`, { emails });
+
+        const mutation = `
+            mutation($workspaceId: String!, $emails: [String!]!) {
+                inviteMembers(workspaceId: $workspaceId, emails: $emails) {
+                    email
+                    inviteId
+                    sentSuccess
+                    error
+                }
+            }
+        `;
+
+        try {
+            const data = await this.makeGraphQLRequest(mutation, { workspaceId, emails });
+            const results = data.inviteMembers;
+            const invited = results.filter(result => result.inviteId);
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `✉️ **Invited ${invited.length} of ${results.length} member(s)**\n\n` +
+                            `**Workspace ID:** ${workspaceId}\n\n` +
+                            results.map(result => result.inviteId
+                                ? `✅ ${result.email} (invite ${result.inviteId})`
+                                : `❌ ${result.email}: ${result.error?.message || JSON.stringify(result.error) || 'invite failed'}`
+                            ).join('\n'),
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to invite members:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to invite members: ${error.message}`
+            );
+        }
+    }
+
+    async removeMember(workspaceId, userId, confirm) {
+        this.requireConfirmation(confirm, `remove user ${userId} from workspace ${workspaceId}`);
+        this.debugLog(`🚪 Removing member ${userId} from workspace ${workspaceId}`);
+
+        const mutation = `
+            mutation($workspaceId: String!, $userId: String!) {
+                revokeMember(workspaceId: $workspaceId, userId: $userId)
+            }
+        `;
+
+        try {
+            await this.makeGraphQLRequest(mutation, { workspaceId, userId });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🚪 **Member removed successfully**\n\n` +
+                            `**User ID:** ${userId}\n` +
+                            `**Workspace ID:** ${workspaceId}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to remove member:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to remove member: ${error.message}`
+            );
+        }
+    }
+
+    async changeMemberRole(workspaceId, userId, role, confirm) {
+        if (role === 'Owner') {
+            throw new McpError(
+                ErrorCode.InvalidParams,
+                `Use transfer_workspace_ownership to make user ${userId} the owner of workspace ${workspaceId}`
+            );
+        }
+        this.requireConfirmation(confirm, `change the role of user ${userId} to ${role}`);
+        this.debugLog(`🎖️ Changing role of member ${userId} in workspace ${workspaceId} to ${role}`);
+
+        const mutation = `
+            mutation($workspaceId: String!, $userId: String!, $permission: Permission!) {
+                grantMember(workspaceId: $workspaceId, userId: $userId, permission: $permission)
+            }
+        `;
+
+        try {
+            await this.makeGraphQLRequest(mutation, { workspaceId, userId, permission: role });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🎖️ **Member role changed successfully**\n\n` +
+                            `**User ID:** ${userId}\n` +
+                            `**Workspace ID:** ${workspaceId}\n` +
+                            `**Role:** ${role}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to change member role:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to change member role: ${error.message}`
+            );
+        }
+    }
+
+    async transferWorkspaceOwnership(workspaceId, userId, confirmTransfer) {
+        this.debugLog(`👑 Transferring ownership of workspace ${workspaceId} to ${userId}`);
+
+        const ownerQuery = `
+            query($workspaceId: String!) {
+                workspace(id: $workspaceId) {
+                    owner {
+                        id
+                        name
+                        email
+                    }
+                }
+            }
+        `;
+
+        let owner;
+        let newOwner;
+        try {
+            const [data, members] = await Promise.all([
+                this.makeGraphQLRequest(ownerQuery, { workspaceId }),
+                this.getWorkspaceMembers(workspaceId),
+            ]);
+            owner = data.workspace.owner;
+            newOwner = members.find(member => member.id === userId);
+        } catch (error) {
+            this.debugLog(`❌ Failed to look up workspace owner:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to transfer workspace ownership: ${error.message}`
+            );
+        }
+
+        if (!newOwner) {
+            throw new McpError(ErrorCode.InvalidParams, `User ${userId} is not a member of workspace ${workspaceId}`);
+        }
+        if (owner.id === userId) {
+            throw new McpError(ErrorCode.InvalidParams, `User ${userId} already owns workspace ${workspaceId}`);
+        }
+        const describe = user => `${user.name || 'Unnamed'} (${user.email || user.id})`;
+        this.requireConfirmation(
+            confirmTransfer,
+            `transfer ownership of workspace ${workspaceId} from its current owner ${describe(owner)}, who would lose ownership, to ${describe(newOwner)}`,
+            'confirmTransfer'
+        );
+
+        const mutation = `
+            mutation($workspaceId: String!, $userId: String!) {
+                grantMember(workspaceId: $workspaceId, userId: $userId, permission: Owner)
+            }
+        `;
+
+        try {
+            await this.makeGraphQLRequest(mutation, { workspaceId, userId });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `👑 **Workspace ownership transferred**\n\n` +
+                            `**Workspace ID:** ${workspaceId}\n` +
+                            `**New Owner:** ${describe(newOwner)}\n` +
+                            `**Previous Owner:** ${describe(owner)}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to transfer workspace ownership:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to transfer workspace ownership: ${error.message}`
+            );
+        }
+    }
+
+    async approveMember(workspaceId, userId, confirm) {
+        this.requireConfirmation(confirm, `approve user ${userId} joining workspace ${workspaceId}`);
+        this.debugLog(`✅ Approving member ${userId} in workspace ${workspaceId}`);
+
+        const mutation = `
+            mutation($workspaceId: String!, $userId: String!) {
+                approveMember(workspaceId: $workspaceId, userId: $userId)
+            }
+        `;
+
+        try {
+            await this.makeGraphQLRequest(mutation, { workspaceId, userId });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `✅ **Member approved successfully**\n\n` +
+                            `**User ID:** ${userId}\n` +
+                            `**Workspace ID:** ${workspaceId}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to approve member:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to approve member: ${error.message}`
+            );
+        }
+    }
+
+    async getInviteLink(workspaceId) {
+        this.debugLog(`🔗 Getting invite link of workspace ${workspaceId}`);
+
+        const query = `
+            query($workspaceId: String!) {
+                workspace(id: $workspaceId) {
+                    inviteLink {
+                        link
+                        expireTime
+                    }
+                }
+            }
+        `;
+
+        try {
+            const data = await this.makeGraphQLRequest(query, { workspaceId });
+            const inviteLink = data.workspace.inviteLink;
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: inviteLink
+                            ? `🔗 **Workspace Invite Link**\n\n` +
+                                `**Link:** ${inviteLink.link}\n` +
+                                `**Expires:** ${new Date(inviteLink.expireTime).toLocaleString()}`
+                            : `🔗 **No active invite link**\n\nWorkspace ID: ${workspaceId}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to get invite link:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to get invite link: ${error.message}`
+            );
+        }
+    }
+
+    async createInviteLink(workspaceId, expireTime = 'OneWeek', confirm) {
+        this.requireConfirmation(confirm, `create an invite link for workspace ${workspaceId}`);
+        this.debugLog(`🔗 Creating invite link for workspace ${workspaceId} (expires: ${expireTime})`);
+
+        const mutation = `
+            mutation($workspaceId: String!, $expireTime: WorkspaceInviteLinkExpireTime!) {
+                createInviteLink(workspaceId: $workspaceId, expireTime: $expireTime) {
+                    link
+                    expireTime
+                }
+            }
+        `;
+
+        try {
+            const data = await this.makeGraphQLRequest(mutation, { workspaceId, expireTime });
+            const inviteLink = data.createInviteLink;
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🔗 **Invite link created successfully**\n\n` +
+                            `**Link:** ${inviteLink.link}\n` +
+                            `**Expires:** ${new Date(inviteLink.expireTime).toLocaleString()}\n\n` +
+                            `Anyone with this link can request to join the workspace until it expires or is revoked.`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to create invite link:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to create invite link: ${error.message}`
+            );
+        }
+    }
+
+    async revokeInviteLink(workspaceId, confirm) {
+        this.requireConfirmation(confirm, `revoke the invite link of workspace ${workspaceId}`);
+        this.debugLog(`🔗 Revoking invite link of workspace ${workspaceId}`);
+
+        const mutation = `
+            mutation($workspaceId: String!) {
+                revokeInviteLink(workspaceId: $workspaceId)
+            }
+        `;
+
+        try {
+            await this.makeGraphQLRequest(mutation, { workspaceId });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🔗 **Invite link revoked successfully**\n\n` +
+                            `**Workspace ID:** ${workspaceId}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to revoke invite link:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to revoke invite link: ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Notification category used for filtering: mention, comment or invitation
+     */
+    getNotificationCategory(type) {
+        if (type === 'Mention' || type === 'CommentMention') return 'mention';
+        if (type === 'Comment') return 'comment';
+        if (type.startsWith('Invitation')) return 'invitation';
+        return 'other';
+    }
+
+    /**
+     * Describe a notification from its type and JSON body
+     */
+    describeNotification(notification) {
+        const body = notification.body || {};
+        const who = body.createdByUser?.name || 'Someone';
+        const workspace = body.workspace?.name ? `"${body.workspace.name}"` : 'a workspace';
+        const doc = body.doc ? `"${body.doc.title || 'Untitled'}"` : 'a document';
+        const docLink = body.doc && body.workspace?.id ? `\n  ${this.getDocUrl(body.workspace.id, body.doc.id)}` : '';
+
+        switch (notification.type) {
+            case 'Mention':
+                return `${who} mentioned you in ${doc}${docLink}`;
+            case 'CommentMention':
+                return `${who} mentioned you in a comment on ${doc}${docLink}`;
+            case 'Comment':
+                return `${who} ${body.replyId ? 'replied to a comment' : 'commented'} on ${doc}${docLink}`;
+            case 'Invitation':
+                return `${who} invited you to join ${workspace} (invite ${body.inviteId})`;
+            case 'InvitationAccepted':
+                return `${who} accepted the invitation to join ${workspace}`;
+            case 'InvitationBlocked':
+                return `The invitation of ${who} to ${workspace} was blocked`;
+            case 'InvitationRejected':
+                return `${who} rejected the invitation to join ${workspace}`;
+            case 'InvitationReviewRequest':
+                return `${who} requested to join ${workspace} (approve with 'approve_member', user ${body.createdByUser?.id || 'unknown'})`;
+            case 'InvitationReviewApproved':
+                return `Your request to join ${workspace} was approved`;
+            case 'InvitationReviewDeclined':
+                return `Your request to join ${workspace} was declined`;
+            default:
+                return `${notification.type}: ${JSON.stringify(body)}`;
+        }
+    }
+
+    async listNotifications(limit = 20, cursor = null, types = [], unreadOnly = false) {
+        this.debugLog(`🔔 Listing notifications`, { limit, cursor, types, unreadOnly });
+
+        const query = `
+            query($pagination: PaginationInput!) {
+                currentUser {
+                    notificationCount
+                    notifications(pagination: $pagination) {
+                        totalCount
+                        edges {
+                            cursor
+                            node {
+                                id
+                                type
+                                level
+                                read
+                                createdAt
+                                body
+                            }
+                        }
+                        pageInfo {
+                            endCursor
+                            hasNextPage
+                        }
+                    }
+                }
+            }
+        `;
+
+        try {
+            // The API can't filter, so types and unreadOnly are applied here,
+            // reading further pages until enough notifications match
+            const matches = notification =>
+                (!types?.length || types.includes(this.getNotificationCategory(notification.type))) &&
+                (!unreadOnly || !notification.read);
+            const scanned = [];
+            const shown = [];
+            let counts = null;
+            let nextCursor = null;
+            for (let pageCount = 0; pageCount < NOTIFICATION_PAGE_BUDGET; pageCount++) {
+                const data = await this.makeGraphQLRequest(query, {
+                    pagination: {
+                        first: limit,
+                        ...(cursor ? { after: cursor } : {})
+                    }
+                });
+                const { notificationCount, notifications } = data.currentUser;
+                counts ??= { unread: notificationCount, total: notifications.totalCount };
+
+                nextCursor = null;
+                for (const [index, edge] of notifications.edges.entries()) {
+                    scanned.push(edge.node);
+                    if (matches(edge.node)) shown.push(edge.node);
+                    if (shown.length === limit) {
+                        if (index < notifications.edges.length - 1 || notifications.pageInfo.hasNextPage) {
+                            nextCursor = edge.cursor;
+                        }
+                        break;
+                    }
+                }
+                if (shown.length === limit) break;
+                if (!notifications.pageInfo.hasNextPage || notifications.edges.length === 0) break;
+                cursor = notifications.pageInfo.endCursor || notifications.edges[notifications.edges.length - 1].cursor;
+                nextCursor = cursor;
+            }
+            const countOf = category => scanned.filter(notification => this.getNotificationCategory(notification.type) === category).length;
+            const filtered = scanned.length - shown.length;
+
+            let text = `🔔 **Notifications (${counts.unread} unread, ${counts.total} total)**\n\n` +
+                `**Scanned:** ${scanned.length} (${countOf('mention')} mentions, ${countOf('comment')} comment activity, ${countOf('invitation')} invitations)` +
+                `${filtered > 0 ? `, ${filtered} filtered out` : ''}\n\n`;
+
+            text += shown.length > 0
+                ? shown.map(notification =>
+                    `${notification.read ? '⚪' : '🔵'} **${notification.type}**${notification.level === 'High' ? ' ❗' : ''} · ${new Date(notification.createdAt).toLocaleString()} · ID ${notification.id}\n` +
+                    `  ${this.describeNotification(notification)}`
+                ).join('\n\n')
+                : 'No matching notifications in the scanned range.';
+
+            if (nextCursor) {
+                text += `\n\n**More notifications available.** Use cursor \`${nextCursor}\` to continue.`;
+            }
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to list notifications:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to list notifications: ${error.message}`
+            );
+        }
+    }
+
+    async markNotificationRead(notificationId) {
+        this.debugLog(`✅ Marking notification ${notificationId} as read`);
+
+        const mutation = `
+            mutation($id: String!) {
+                readNotification(id: $id)
+            }
+        `;
+
+        try {
+            await this.makeGraphQLRequest(mutation, { id: notificationId });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `✅ **Notification marked as read**\n\n` +
+                            `**Notification ID:** ${notificationId}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to mark notification as read:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to mark notification as read: ${error.message}`
+            );
+        }
+    }
+
+    async markAllNotificationsRead() {
+        this.debugLog(`✅ Marking all notifications as read`);
+
+        const mutation = `
+            mutation {
+                readAllNotifications
+            }
+        `;
+
+        try {
+            await this.makeGraphQLRequest(mutation);
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `✅ **All notifications marked as read**`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to mark all notifications as read:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to mark all notifications as read: ${error.message}`
+            );
+        }
+    }
+
+    async publishDocument(docId, workspaceId, mode = 'Page') {
+        this.debugLog(`📝 Publishing document ${docId} in workspace ${workspaceId} with mode ${mode}`);
+        
+        const mutation = `
+            mutation($docId: String!, $workspaceId: String!, $mode: PublicDocMode!) {
+                publishDoc(docId: $docId, workspaceId: $workspaceId, mode: $mode) {
+                    id
+                    title
+                    public
+                    mode
+                    permissions {
+                        Doc_Read
+                        Doc_Update
+                    }
+                }
+            }
+        `;
+
+        try {
+            const data = await this.makeGraphQLRequest(mutation, { 
+                docId, 
+                workspaceId, 
+                mode 
+            });
+            
+            const doc = data.publishDoc;
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `✅ **Document "${doc.title}" published successfully**\n\n` +
+                            `**Document ID:** ${doc.id}\n` +
+                            `**Mode:** ${doc.mode}\n` +
+                            `**Public:** ${doc.public ? 'Yes' : 'No'}\n` +
+                            `**Permissions:** Read: ${doc.permissions.Doc_Read ? 'Yes' : 'No'}, Update: ${doc.permissions.Doc_Update ? 'Yes' : 'No'}\n\n` +
+                            `The document is now publicly accessible.`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to publish document:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to publish document: ${error.message}`
+            );
+        }
+    }
+
+    async unpublishDocument(docId, workspaceId) {
+        this.debugLog(`🔒 Unpublishing document ${docId} in workspace ${workspaceId}`);
+        
+        const mutation = `
+            mutation($docId: String!, $workspaceId: String!) {
+                revokePublicDoc(docId: $docId, workspaceId: $workspaceId) {
+                    id
+                    title
+                    public
+                    permissions {
+                        Doc_Read
+                        Doc_Update
+                    }
+                }
+            }
+        `;
+
+        try {
+            const data = await this.makeGraphQLRequest(mutation, { 
+                docId, 
+                workspaceId 
+            });
+            
+            const doc = data.revokePublicDoc;
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🔒 **Document "${doc.title}" unpublished successfully**\n\n` +
+                            `**Document ID:** ${doc.id}\n` +
+                            `**Public:** ${doc.public ? 'Yes' : 'No'}\n` +
+                            `**Permissions:** Read: ${doc.permissions.Doc_Read ? 'Yes' : 'No'}, Update: ${doc.permissions.Doc_Update ? 'Yes' : 'No'}\n\n` +
+                            `The document is no longer publicly accessible.`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to unpublish document:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to unpublish document: ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * List a workspace's published docs and flag risky ones. AFFiNE doesn't
+     * expose when a doc was published, so docs are flagged by the age of
+     * their last update and, given the token of a previous audit, by
+     * changes since that audit.
+     */
+    async auditPublicDocuments(workspaceId, staleDays = 180, previousAudit = null, unpublishDocIds = [], confirm = false) {
+        this.debugLog(`🌐 Auditing public documents in workspace ${workspaceId}`, { staleDays, unpublishDocIds });
+
+        if (unpublishDocIds?.length > 0) {
+            this.requireConfirmation(confirm, `unpublish ${unpublishDocIds.length} document(s)`);
+        }
+
+        const query = `
+            query($workspaceId: String!) {
+                workspace(id: $workspaceId) {
+                    publicDocs {
+                        id
+                        title
+                        mode
+                        createdAt
+                        updatedAt
+                        lastUpdatedBy {
+                            name
+                        }
+                        meta {
+                            updatedAt
+                            updatedBy {
+                                name
+                            }
+                        }
+                    }
+                }
+            }
+        `;
+
+        try {
+            let previous = null;
+            if (previousAudit) {
+                try {
+                    previous = JSON.parse(Buffer.from(previousAudit, 'base64url').toString('utf8'));
+                } catch {
+                    previous = null;
+                }
+                if (typeof previous?.auditedAt !== 'string' || !Array.isArray(previous.docs)) {
+                    throw new Error('Invalid previousAudit token');
+                }
+            }
+
+            const unpublished = [];
+            for (const docId of unpublishDocIds || []) {
+                try {
+                    await this.unpublishDocument(docId, workspaceId);
+                    unpublished.push(`✅ ${docId}`);
+                } catch (error) {
+                    unpublished.push(`❌ ${docId}: ${error.message}`);
+                }
+            }
+
+            const data = await this.makeGraphQLRequest(query, { workspaceId });
+            const now = Date.now();
+            const staleBefore = now - staleDays * 24 * 60 * 60 * 1000;
+
+            const docs = data.workspace.publicDocs.map(doc => {
+                const updatedAt = doc.updatedAt || doc.meta?.updatedAt || doc.createdAt;
+                const flags = [];
+                if (updatedAt && new Date(updatedAt).getTime() < staleBefore) {
+                    flags.push(`⏳ not updated in over ${staleDays} days`);
+                }
+                if (previous && !previous.docs.includes(doc.id)) {
+                    flags.push('🆕 newly published since the last audit');
+                } else if (previous && updatedAt && new Date(updatedAt) > new Date(previous.auditedAt)) {
+                    flags.push('✏️ updated while public since the last audit');
+                }
+                return { ...doc, updatedAt, flags };
+            });
+            const flagged = docs.filter(doc => doc.flags.length > 0);
+            const token = Buffer.from(JSON.stringify({
+                auditedAt: new Date(now).toISOString(),
+                docs: docs.map(doc => doc.id),
+            })).toString('base64url');
+
+            let text = `🌐 **Public Document Audit for Workspace ${workspaceId}**\n\n` +
+                `**Audited:** ${new Date(now).toLocaleString()}\n` +
+                `**Published Documents:** ${docs.length}\n` +
+                `**Flagged:** ${flagged.length}\n`;
+            if (previous) {
+                const removed = previous.docs.filter(id => !docs.some(doc => doc.id === id));
+                text += `**Compared With Audit Of:** ${new Date(previous.auditedAt).toLocaleString()} (${removed.length} no longer public)\n`;
+            }
+
+            if (unpublished.length > 0) {
+                text += `\n**Unpublished:**\n${unpublished.join('\n')}\n`;
+            }
+
+            text += `\n` + (docs.length > 0
+                ? docs.map(doc =>
+                    `**${doc.title || 'Untitled'}** (${doc.id})\n` +
+                    `• **Mode:** ${doc.mode}\n` +
+                    `• **Last Updated:** ${doc.updatedAt ? new Date(doc.updatedAt).toLocaleString() : 'Unknown'}` +
+                    ` by ${doc.lastUpdatedBy?.name || doc.meta?.updatedBy?.name || 'Unknown'}\n` +
+                    `• **URL:** ${this.getDocUrl(workspaceId, doc.id)}` +
+                    (doc.flags.length > 0 ? `\n• **Flags:** ${doc.flags.join('; ')}` : '')
+                ).join('\n\n')
+                : 'No documents in this workspace are published.');
+
+            text += `\n\n**Audit Token:** \`${token}\`\n` +
+                `Pass it as \`previousAudit\` next time to flag documents published or updated since this audit. ` +
+                `Unpublish documents with \`unpublishDocIds\` and \`confirm: true\`.`;
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to audit public documents:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to audit public documents: ${error.message}`
+            );
+        }
+    }
+
+    async getDocumentAccess(docId, workspaceId) {
+        this.debugLog(`🔐 Getting access report for document ${docId} in workspace ${workspaceId}`);
+
+        const query = `
+            query($workspaceId: String!, $docId: String!, $pagination: PaginationInput!) {
+                workspace(id: $workspaceId) {
+                    doc(docId: $docId) {
+                        id
+                        title
+                        public
+                        mode
+                        defaultRole
+                        createdBy {
+                            name
+                        }
+                        grantedUsersList(pagination: $pagination) {
+                            edges {
+                                node {
+                                    role
+                                    user {
+                                        id
+                                        name
+                                        email
+                                    }
+                                }
+                            }
+                            pageInfo {
+                                endCursor
+                                hasNextPage
+                            }
+                            totalCount
+                        }
+                    }
+                }
+            }
+        `;
+
+        try {
+            let doc;
+            const grants = [];
+            let after = null;
+            do {
+                const data = await this.makeGraphQLRequest(query, {
+                    workspaceId,
+                    docId,
+                    pagination: { first: 100, ...(after ? { after } : {}) }
+                });
+                doc = data.workspace.doc;
+                grants.push(...doc.grantedUsersList.edges.map(edge => edge.node));
+                after = doc.grantedUsersList.pageInfo.hasNextPage ? doc.grantedUsersList.pageInfo.endCursor : null;
+            } while (after);
+
+            const roleOrder = ['Owner', 'Manager', 'Editor', 'Commenter', 'Reader', 'External', 'None'];
+            const byRole = roleOrder
+                .map(role => [role, grants.filter(grant => grant.role === role)])
+                .filter(([, users]) => users.length > 0);
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🔐 **Access Report for "${doc.title || 'Untitled'}"**\n\n` +
+                            `**Document ID:** ${doc.id}\n` +
+                            `**Created By:** ${doc.createdBy?.name || 'Unknown'}\n` +
+                            `**Public Link:** ${doc.public ? `Yes (${doc.mode} mode, anyone with the link can read)` : 'No'}\n` +
+                            `**Default Role for Workspace Members:** ${doc.defaultRole}\n` +
+                            `**Users with Explicit Roles:** ${grants.length}\n\n` +
+                            (byRole.length > 0
+                                ? byRole.map(([role, users]) =>
+                                    `**${role} (${users.length}):**\n` +
+                                    users.map(grant => `• ${grant.user.name} (${grant.user.email}) — ${grant.user.id}`).join('\n')
+                                ).join('\n\n')
+                                : 'No users have been granted explicit roles on this document.'),
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to get document access:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to get document access: ${error.message}`
+            );
+        }
+    }
+
+    async grantDocumentRole(docId, workspaceId, userIds, role, confirm = false) {
+        if (!Array.isArray(userIds) || userIds.length === 0) {
+            throw new McpError(ErrorCode.InvalidParams, 'userIds must be a non-empty array of user IDs');
+        }
+        if (role === 'Owner') {
+            this.requireConfirmation(confirm, `transfer ownership of document ${docId} to ${userIds.join(', ')}`);
+        }
+        this.debugLog(`🔐 Granting ${role} on document ${docId} to ${userIds.length} user(s)`);
+
+        const mutation = `
+            mutation($input: GrantDocUserRolesInput!) {
+                grantDocUserRoles(input: $input)
+            }
+        `;
+
+        try {
+            await this.makeGraphQLRequest(mutation, {
+                input: { docId, workspaceId, userIds, role }
+            });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🔐 **Role granted successfully**\n\n` +
+                            `**Document ID:** ${docId}\n` +
+                            `**Role:** ${role}\n` +
+                            `**Users:** ${userIds.join(', ')}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to grant document role:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to grant document role: ${error.message}`
+            );
+        }
+    }
+
+    async updateDocumentUserRole(docId, workspaceId, userId, role, confirm = false) {
+        this.requireConfirmation(confirm, role === 'Owner'
+            ? `transfer ownership of document ${docId} to ${userId}`
+            : `change the role of user ${userId} on document ${docId} to ${role}`);
+        this.debugLog(`🔐 Changing role of user ${userId} on document ${docId} to ${role}`);
+
+        const mutation = `
+            mutation($input: UpdateDocUserRoleInput!) {
+                updateDocUserRole(input: $input)
+            }
+        `;
+
+        try {
+            await this.makeGraphQLRequest(mutation, {
+                input: { docId, workspaceId, userId, role }
+            });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🔐 **User role updated successfully**\n\n` +
+                            `**Document ID:** ${docId}\n` +
+                            `**User ID:** ${userId}\n` +
+                            `**Role:** ${role}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to update document user role:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to update document user role: ${error.message}`
+            );
+        }
+    }
+
+    async revokeDocumentRole(docId, workspaceId, userId, confirm = false) {
+        this.requireConfirmation(confirm, `revoke the role of user ${userId} on document ${docId}`);
+        this.debugLog(`🔐 Revoking role of user ${userId} on document ${docId}`);
+
+        const mutation = `
+            mutation($input: RevokeDocUserRoleInput!) {
+                revokeDocUserRoles(input: $input)
+            }
+        `;
+
+        try {
+            await this.makeGraphQLRequest(mutation, {
+                input: { docId, workspaceId, userId }
+            });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🔐 **User role revoked successfully**\n\n` +
+                            `**Document ID:** ${docId}\n` +
+                            `**User ID:** ${userId}\n\n` +
+                            `The user now falls back to the document's default role.`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to revoke document role:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to revoke document role: ${error.message}`
+            );
+        }
+    }
+
+    async setDocumentDefaultRole(docId, workspaceId, role, confirm = false) {
+        this.requireConfirmation(confirm, role === 'None'
+            ? `remove workspace members' default access to document ${docId}`
+            : `set the default role of document ${docId} to ${role}`);
+        this.debugLog(`🔐 Setting default role of document ${docId} to ${role}`);
+
+        const mutation = `
+            mutation($input: UpdateDocDefaultRoleInput!) {
+                updateDocDefaultRole(input: $input)
+            }
+        `;
+
+        try {
+            await this.makeGraphQLRequest(mutation, {
+                input: { docId, workspaceId, role }
+            });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🔐 **Default role updated successfully**\n\n` +
+                            `**Document ID:** ${docId}\n` +
+                            `**Default Role:** ${role}\n\n` +
+                            `Workspace members without an explicit role now get ${role === 'None' ? 'no access' : `${role} access`} to this document.`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to set document default role:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to set document default role: ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Fetch all members of a workspace
+     */
+    async getWorkspaceMembers(workspaceId) {
+        const query = `
+            query($workspaceId: String!, $skip: Int, $take: Int) {
+                workspace(id: $workspaceId) {
+                    members(skip: $skip, take: $take) {
+                        id
+                        name
+                        email
+                        role
+                        status
+                    }
+                }
+            }
+        `;
+
+        const pageSize = 100;
+        const members = [];
+        for (let skip = 0; ; skip += pageSize) {
+            const data = await this.makeGraphQLRequest(query, { workspaceId, skip, take: pageSize });
+            members.push(...data.workspace.members);
+            if (data.workspace.members.length < pageSize) {
+                return members;
+            }
+        }
+    }
+
+    /**
+     * Look up a doc's title, for APIs that require it alongside the doc ID
+     */
+    async getDocTitle(workspaceId, docId) {
+        const query = `
+            query($workspaceId: String!, $docId: String!) {
+                workspace(id: $workspaceId) {
+                    doc(docId: $docId) {
+                        title
+                    }
+                }
+            }
+        `;
+
+        const data = await this.makeGraphQLRequest(query, { workspaceId, docId });
+        return data.workspace.doc.title || 'Untitled';
+    }
+
+    /**
+     * Replace "@name" (or "@email") in a text delta with mention nodes for
+     * the matching workspace members. Longer names win, so "@Ann Lee" is
+     * preferred over "@Ann".
+     */
+    applyMentions(delta, members, mentioned) {
+        const candidates = members
+            .flatMap(member => [member.name, member.email].filter(Boolean).map(label => ({ label, member })))
+            .sort((a, b) => b.label.length - a.label.length);
+        const result = [];
+
+        for (const op of delta) {
+            const attributes = op.attributes || {};
+            if (typeof op.insert !== 'string' || attributes.code || attributes.link || attributes.reference) {
+                result.push(op);
+                continue;
+            }
+
+            let buffer = '';
+            const flush = () => {
+                if (buffer) {
+                    result.push(op.attributes ? { insert: buffer, attributes: op.attributes } : { insert: buffer });
+                    buffer = '';
+                }
+            };
+
+            for (let index = 0; index < op.insert.length; index++) {
+                const rest = op.insert.slice(index + 1).toLowerCase();
+                const match = op.insert[index] === '@' && !/\w/.test(op.insert[index - 1] || '')
+                    ? candidates.find(({ label }) => rest.startsWith(label.toLowerCase()) && !/\w/.test(rest[label.length] || ''))
+                    : null;
+                if (!match) {
+                    buffer += op.insert[index];
+                    continue;
+                }
+
+                flush();
+                result.push({ insert: ' ', attributes: { mention: { member: match.member.id } } });
+                mentioned.add(match.member.id);
+                index += match.label.length;
+            }
+            flush();
+        }
+
+        return result;
+    }
+
+    /**
+     * Convert a block spec into the BlockSuite snapshot format used to store
+     * comment content
+     */
+    blockSpecToSnapshot(spec) {
+        const toSnapshotText = delta => ({ '$blocksuite:internal:text$': true, delta });
+        const props = {};
+        const setProp = (key, value) => {
+            const path = key.split('.');
+            let target = props;
+            for (const segment of path.slice(0, -1)) {
+                target[segment] = target[segment] || {};
+                target = target[segment];
+            }
+            target[path[path.length - 1]] = value;
+        };
+
+        for (const [key, value] of Object.entries(spec.props || {})) {
+            setProp(key, value);
+        }
+        for (const [key, delta] of Object.entries({ ...spec.texts, ...(spec.text ? { text: spec.text } : {}) })) {
+            setProp(key, toSnapshotText(delta));
+        }
+
+        return {
+            type: 'block',
+            id: spec.id || this.generateBlockId(),
+            flavour: spec.flavour,
+            version: BLOCK_VERSIONS[spec.flavour] || 1,
+            props,
+            children: (spec.children || []).map(child => this.blockSpecToSnapshot(child)),
+        };
+    }
+
+    /**
+     * Build comment content from `content` JSON, plain `text` or `markdown`.
+     * Text and Markdown become a doc snapshot (what the AFFiNE editor
+     * renders) plus a plain-text preview; "@name" mentions of workspace
+     * members are resolved to user IDs.
+     */
+    async buildCommentContent(workspaceId, { content, text, markdown }) {
+        const provided = [content, text, markdown].filter(value => value !== undefined && value !== null);
+        if (provided.length !== 1) {
+            throw new Error('Provide exactly one of "text", "markdown" or "content"');
+        }
+        if (content) {
+            return { content, mentions: [] };
+        }
+
+        const specs = markdown !== undefined && markdown !== null
+            ? this.markdownToBlocks(markdown, workspaceId)
+            : String(text).replace(/\n+$/, '').split('\n').map(line => ({
+                flavour: 'affine:paragraph',
+                props: { type: 'text' },
+                text: line ? [{ insert: line }] : [],
+            }));
+
+        const previewLines = [];
+        const collectPreview = spec => {
+            if (spec.text) previewLines.push(this.deltaToPlainText(spec.text));
+            (spec.children || []).forEach(collectPreview);
+        };
+        specs.forEach(collectPreview);
+
+        const mentioned = new Set();
+        if (previewLines.some(line => line.includes('@'))) {
+            const members = await this.getWorkspaceMembers(workspaceId);
+            const resolve = spec => {
+                if (spec.text) spec.text = this.applyMentions(spec.text, members, mentioned);
+                (spec.children || []).forEach(resolve);
+            };
+            specs.forEach(resolve);
+        }
+
+        const snapshot = {
+            type: 'page',
+            meta: {
+                id: this.generateBlockId(),
+                title: '',
+                createDate: Date.now(),
+                tags: [],
+            },
+            blocks: this.blockSpecToSnapshot({
+                flavour: 'affine:page',
+                texts: { title: [] },
+                children: [this.createNoteSpec(specs)],
+            }),
+        };
+
+        return {
+            content: {
+                snapshot,
+                preview: previewLines.filter(Boolean).join('\n'),
+            },
+            mentions: [...mentioned],
+        };
+    }
+
+    /**
+     * Resolve where a comment is anchored in a block: a text range found by
+     * `quote` or given as `range` ({ start, end } offsets), or the whole
+     * block when neither is given
+     */
+    resolveCommentAnchor(ydoc, blockId, quote = null, range = null) {
+        const block = ydoc.getMap('blocks').get(blockId);
+        if (!(block instanceof Y.Map)) {
+            throw new Error(`Block ${blockId} not found`);
+        }
+        if (!quote && !range) {
+            return { block, blockId, yText: null };
+        }
+
+        const yText = block.get('prop:text');
+        if (!(yText instanceof Y.Text)) {
+            throw new Error(`Block ${blockId} (${block.get('sys:flavour')}) has no text to anchor a quote or range to`);
+        }
+        const text = yText.toString();
+
+        if (quote) {
+            const index = text.indexOf(quote);
+            if (index === -1) {
+                throw new Error(`Quote not found in block ${blockId}: "${quote}"`);
+            }
+            return { block, blockId, yText, index, length: quote.length };
+        }
+
+        const { start, end } = range;
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start || end > text.length) {
+            throw new Error(`Invalid range ${JSON.stringify(range)} for block ${blockId} (text length ${text.length})`);
+        }
+        return { block, blockId, yText, index: start, length: end - start };
+    }
+
+    /**
+     * Mark an anchor with a comment, the way the AFFiNE editor does: a
+     * `comment-<id>` text attribute on the range, or the block's `comments` prop
+     */
+    markCommentAnchor(anchor, commentId) {
+        if (anchor.yText) {
+            anchor.yText.format(anchor.index, anchor.length, { [`comment-${commentId}`]: true });
+            return;
+        }
+
+        let comments = anchor.block.get('prop:comments');
+        if (!(comments instanceof Y.Map)) {
+            comments = new Y.Map();
+            anchor.block.set('prop:comments', comments);
+        }
+        comments.set(commentId, true);
+    }
+
+    /**
+     * Collect what each comment is anchored to in a doc: commented text
+     * ranges and whole blocks, keyed by comment ID
+     */
+    getCommentAnchors(ydoc) {
+        const anchors = new Map();
+        const add = (commentId, anchor) => {
+            if (!anchors.has(commentId)) anchors.set(commentId, []);
+            anchors.get(commentId).push(anchor);
+        };
+
+        for (const [blockId, yBlock] of ydoc.getMap('blocks').entries()) {
+            if (!(yBlock instanceof Y.Map)) continue;
+
+            const comments = yBlock.get('prop:comments');
+            const commentIds = comments instanceof Y.Map ? [...comments.keys()] : Object.keys(comments || {});
+            for (const commentId of commentIds) {
+                add(commentId, { blockId, flavour: yBlock.get('sys:flavour'), text: null });
+            }
+
+            const yText = yBlock.get('prop:text');
+            if (!(yText instanceof Y.Text)) continue;
+
+            // Consecutive ops carrying the same comment attribute form one quote
+            const open = new Map();
+            for (const op of [...yText.toDelta(), { insert: '' }]) {
+                const ids = Object.entries(op.attributes || {})
+                    .filter(([key, value]) => key.startsWith('comment-') && value)
+                    .map(([key]) => key.slice('comment-'.length));
+                for (const [commentId, text] of open) {
+                    if (!ids.includes(commentId)) {
+                        add(commentId, { blockId, flavour: yBlock.get('sys:flavour'), text });
+                        open.delete(commentId);
+                    }
+                }
+                for (const commentId of ids) {
+                    open.set(commentId, (open.get(commentId) || '') + (typeof op.insert === 'string' ? op.insert : ''));
+                }
+            }
+        }
+
+        return anchors;
+    }
+
+    async createComment(docId, workspaceId, content, docMode = 'page', docTitle = null, mentions = [], text = null, markdown = null, blockId = null, quote = null, range = null) {
+        this.debugLog(`💬 Creating comment on document ${docId} in workspace ${workspaceId}`);
+        
+        const mutation = `
+            mutation($input: CommentCreateInput!) {
+                createComment(input: $input) {
+                    id
+                    content
+                    createdAt
+                    resolved
+                    user {
+                        id
+                        name
+                        avatarUrl
+                    }
+                    replies {
+                        id
+                        content
+                        createdAt
+                        user {
+                            id
+                            name
+                            avatarUrl
+                        }
+                    }
+                }
+            }
+        `;
+
+        try {
+            if ((quote || range) && !blockId) {
+                throw new Error('"quote" and "range" require a "blockId"');
+            }
+
+            // Validate the anchor before creating the comment
+            let ydoc = null;
+            let anchor = null;
+            if (blockId) {
+                ydoc = await this.loadDoc(workspaceId, docId);
+                anchor = this.resolveCommentAnchor(ydoc, blockId, quote, range);
+            }
+
+            const built = await this.buildCommentContent(workspaceId, { content, text, markdown });
+            const data = await this.makeGraphQLRequest(mutation, {
+                input: {
+                    docId,
+                    workspaceId,
+                    content: built.content,
+                    docMode,
+                    docTitle: docTitle || await this.getDocTitle(workspaceId, docId),
+                    mentions: [...new Set([...(mentions || []), ...built.mentions])]
+                }
+            });
+            
+            const comment = data.createComment;
+
+            if (anchor) {
+                const stateVector = Y.encodeStateVector(ydoc);
+                ydoc.transact(() => this.markCommentAnchor(anchor, comment.id));
+                try {
+                    await this.pushDocUpdates(workspaceId, [{ docId, update: Y.encodeStateAsUpdate(ydoc, stateVector) }]);
+                } catch (error) {
+                    // Don't leave behind a comment that points at nothing
+                    await this.deleteComment(comment.id).catch(() => {});
+                    throw error;
+                }
+            }
+
+            const anchoredTo = anchor
+                ? `**Anchored To:** ${anchor.yText ? `"${anchor.yText.toString().slice(anchor.index, anchor.index + anchor.length)}" in block ${blockId}` : `block ${blockId}`}\n`
+                : '';
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `💬 **Comment created successfully**\n\n` +
+                            `**Comment ID:** ${comment.id}\n` +
+                            `**Author:** ${comment.user.name}\n` +
+                            `**Created:** ${new Date(comment.createdAt).toLocaleString()}\n` +
+                            `**Resolved:** ${comment.resolved ? 'Yes' : 'No'}\n` +
+                            `**Replies:** ${comment.replies.length}\n` +
+                            anchoredTo + `\n` +
+                            `**Content:** ${this.formatCommentContent(comment.content)}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to create comment:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to create comment: ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Render comment content as readable text, falling back to its JSON
+     */
+    formatCommentContent(content) {
+        if (typeof content === 'string') {
+            return content;
+        }
+        if (typeof content?.text === 'string') {
+            return content.text;
+        }
+        if (typeof content?.preview === 'string' && content.preview) {
+            return content.preview;
+        }
+        if (content?.snapshot?.blocks) {
+            const lines = [];
+            const collect = block => {
+                if (block.props?.text?.delta) lines.push(this.deltaToPlainText(block.props.text.delta));
+                (block.children || []).forEach(collect);
+            };
+            collect(content.snapshot.blocks);
+            return lines.join('\n');
+        }
+        return JSON.stringify(content);
+    }
+
+    /**
+     * Render a comment and its replies as an indented thread
+     */
+    formatCommentThread(comment, anchors = []) {
+        const edited = comment.updatedAt && comment.updatedAt !== comment.createdAt
+            ? ` (edited ${new Date(comment.updatedAt).toLocaleString()})`
+            : '';
+        const lines = [
+            `**Comment ${comment.id}** by ${comment.user.name} · ${comment.resolved ? '✅ Resolved' : '🔄 Open'}`,
+            `Created: ${new Date(comment.createdAt).toLocaleString()}${edited}`,
+            ...anchors.map(anchor => anchor.text !== null
+                ? `Anchored to: "${anchor.text}" (block ${anchor.blockId})`
+                : `Anchored to: block ${anchor.blockId} (${anchor.flavour})`),
+            this.prefixLines(this.formatCommentContent(comment.content), '> '),
+        ];
+
+        if (comment.replies.length > 0) {
+            lines.push('', `Replies (${comment.replies.length}):`);
+            for (const reply of comment.replies) {
+                const replyEdited = reply.updatedAt && reply.updatedAt !== reply.createdAt ? ', edited' : '';
+                lines.push(
+                    `  ↳ **Reply ${reply.id}** by ${reply.user.name} · ${new Date(reply.createdAt).toLocaleString()}${replyEdited}`,
+                    this.prefixLines(this.formatCommentContent(reply.content), '    > ')
+                );
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    async getComments(docId, workspaceId, limit = 10, cursor = null) {
+        this.debugLog(`📋 Getting comments for document ${docId} in workspace ${workspaceId}`, { limit, cursor });
+        
+        const query = `
+            query($workspaceId: String!, $docId: String!, $pagination: PaginationInput) {
+                workspace(id: $workspaceId) {
+                    comments(docId: $docId, pagination: $pagination) {
+                        edges {
+                            cursor
+                            node {
+                                id
+                                content
+                                createdAt
+                                updatedAt
+                                resolved
+                                user {
+                                    id
+                                    name
+                                    avatarUrl
+                                }
+                                replies {
+                                    id
+                                    commentId
+                                    content
+                                    createdAt
+                                    updatedAt
+                                    user {
+                                        id
+                                        name
+                                        avatarUrl
+                                    }
+                                }
+                            }
+                        }
+                        totalCount
+                        pageInfo {
+                            endCursor
+                            hasNextPage
+                            hasPreviousPage
+                        }
+                    }
+                }
+            }
+        `;
+
+        try {
+            const [data, ydoc] = await Promise.all([
+                this.makeGraphQLRequest(query, {
+                    workspaceId,
+                    docId,
+                    pagination: {
+                        first: limit,
+                        ...(cursor ? { after: cursor } : {})
+                    }
+                }),
+                // Anchors are a nice-to-have; still list comments if the doc can't be read
+                this.loadDoc(workspaceId, docId, true).catch(error => {
+                    this.debugLog(`⚠️ Could not load document for comment anchors:`, error);
+                    return null;
+                }),
+            ]);
+            const anchors = ydoc ? this.getCommentAnchors(ydoc) : new Map();
+            
+            const comments = data.workspace.comments;
+            const commentList = comments.edges.map(edge => edge.node);
+            
+            if (commentList.length === 0) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: cursor
+                                ? `📋 **No more comments for this document**\n\nDocument ID: ${docId}`
+                                : `📋 **No comments found for this document**\n\nDocument ID: ${docId}`,
+                        },
+                    ],
+                };
+            }
+
+            const nextCursor = comments.pageInfo.endCursor || comments.edges[comments.edges.length - 1].cursor;
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `📋 **Comments for Document (${commentList.length} of ${comments.totalCount} total)**\n\n` +
+                            commentList.map(comment => this.formatCommentThread(comment, anchors.get(comment.id))).join('\n\n---\n\n') +
+                            (comments.pageInfo.hasNextPage
+                                ? `\n\n**More comments available.** Use cursor \`${nextCursor}\` to fetch the next page.`
+                                : ''),
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to get comments:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to get comments: ${error.message}`
+            );
+        }
+    }
+
+    async resolveComment(commentId, resolved) {
+        this.debugLog(`${resolved ? '✅' : '🔄'} ${resolved ? 'Resolving' : 'Unresolving'} comment ${commentId}`);
+        
+        const mutation = `
+            mutation($input: CommentResolveInput!) {
+                resolveComment(input: $input)
+            }
+        `;
+
+        try {
+            const data = await this.makeGraphQLRequest(mutation, {
+                input: {
+                    id: commentId,
+                    resolved
+                }
+            });
+            
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `${resolved ? '✅' : '🔄'} **Comment ${resolved ? 'resolved' : 'unresolved'} successfully**\n\n` +
+                            `**Comment ID:** ${commentId}\n` +
+                            `**Status:** ${resolved ? 'Resolved' : 'Open'}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to ${resolved ? 'resolve' : 'unresolve'} comment:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to ${resolved ? 'resolve' : 'unresolve'} comment: ${error.message}`
+            );
+        }
+    }
+
+    async deleteComment(commentId) {
+        this.debugLog(`🗑️ Deleting comment ${commentId}`);
+        
+        const mutation = `
+            mutation($id: String!) {
+                deleteComment(id: $id)
+            }
+        `;
+
+        try {
+            const data = await this.makeGraphQLRequest(mutation, {
+                id: commentId
+            });
+            
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🗑️ **Comment deleted successfully**\n\n` +
+                            `**Comment ID:** ${commentId}\n` +
+                            `The comment has been permanently removed.`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to delete comment:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to delete comment: ${error.message}`
+            );
+        }
+    }
+
+    async updateComment(commentId, content, text = null, markdown = null, workspaceId = null) {
+        this.debugLog(`✏️ Updating comment ${commentId}`);
+
+        const mutation = `
+            mutation($input: CommentUpdateInput!) {
+                updateComment(input: $input)
+            }
+        `;
+
+        try {
+            const built = await this.buildCommentContent(workspaceId, { content, text, markdown });
+            await this.makeGraphQLRequest(mutation, {
+                input: {
+                    id: commentId,
+                    content: built.content
+                }
+            });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `✏️ **Comment updated successfully**\n\n` +
+                            `**Comment ID:** ${commentId}\n\n` +
+                            `**Content:** ${this.formatCommentContent(built.content)}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to update comment:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to update comment: ${error.message}`
+            );
+        }
+    }
+
+    async replyToComment(commentId, content, docMode = 'page', docTitle = null, mentions = [], text = null, markdown = null, workspaceId = null, docId = null) {
+        this.debugLog(`↩️ Replying to comment ${commentId}`);
+
+        const mutation = `
+            mutation($input: ReplyCreateInput!) {
+                createReply(input: $input) {
+                    id
+                    commentId
+                    content
+                    createdAt
+                    user {
+                        id
+                        name
+                        avatarUrl
+                    }
+                }
+            }
+        `;
+
+        try {
+            if (!docTitle && !docId) {
+                throw new Error('Provide "docTitle" or the "docId" of the commented document');
+            }
+
+            const built = await this.buildCommentContent(workspaceId, { content, text, markdown });
+            const data = await this.makeGraphQLRequest(mutation, {
+                input: {
+                    commentId,
+                    content: built.content,
+                    docMode,
+                    docTitle: docTitle || await this.getDocTitle(workspaceId, docId),
+                    mentions: [...new Set([...(mentions || []), ...built.mentions])]
+                }
+            });
+
+            const reply = data.createReply;
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `↩️ **Reply created successfully**\n\n` +
+                            `**Reply ID:** ${reply.id}\n` +
+                            `**Comment ID:** ${reply.commentId}\n` +
+                            `**Author:** ${reply.user.name}\n` +
+                            `**Created:** ${new Date(reply.createdAt).toLocaleString()}\n\n` +
+                            `**Content:** ${this.formatCommentContent(reply.content)}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to reply to comment:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to reply to comment: ${error.message}`
+            );
+        }
+    }
+
+    async updateReply(replyId, content, text = null, markdown = null, workspaceId = null) {
+        this.debugLog(`✏️ Updating reply ${replyId}`);
+
+        const mutation = `
+            mutation($input: ReplyUpdateInput!) {
+                updateReply(input: $input)
+            }
+        `;
+
+        try {
+            const built = await this.buildCommentContent(workspaceId, { content, text, markdown });
+            await this.makeGraphQLRequest(mutation, {
+                input: {
+                    id: replyId,
+                    content: built.content
+                }
+            });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `✏️ **Reply updated successfully**\n\n` +
+                            `**Reply ID:** ${replyId}\n\n` +
+                            `**Content:** ${this.formatCommentContent(built.content)}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to update reply:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to update reply: ${error.message}`
+            );
+        }
+    }
+
+    async deleteReply(replyId) {
+        this.debugLog(`🗑️ Deleting reply ${replyId}`);
+
+        const mutation = `
+            mutation($id: String!) {
+                deleteReply(id: $id)
+            }
+        `;
+
+        try {
+            await this.makeGraphQLRequest(mutation, {
+                id: replyId
+            });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🗑️ **Reply deleted successfully**\n\n` +
+                            `**Reply ID:** ${replyId}\n` +
+                            `The reply has been permanently removed.`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to delete reply:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to delete reply: ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Fetch one page of a doc's comment change feed
+     */
+    async fetchCommentChanges(workspaceId, docId, cursor = null, limit = 50) {
+        const query = `
+            query($workspaceId: String!, $docId: String!, $pagination: PaginationInput!) {
+                workspace(id: $workspaceId) {
+                    commentChanges(docId: $docId, pagination: $pagination) {
+                        edges {
+                            cursor
+                            node {
+                                id
+                                action
+                                commentId
+                                item
+                            }
+                        }
+                        pageInfo {
+                            endCursor
+                            hasNextPage
+                        }
+                    }
+                }
+            }
+        `;
+
+        const data = await this.makeGraphQLRequest(query, {
+            workspaceId,
+            docId,
+            pagination: {
+                first: limit,
+                ...(cursor ? { after: cursor } : {})
+            }
+        });
+
+        const { edges, pageInfo } = data.workspace.commentChanges;
+        return {
+            changes: edges.map(edge => edge.node),
+            endCursor: pageInfo.endCursor || edges[edges.length - 1]?.cursor || cursor,
+            hasNextPage: pageInfo.hasNextPage,
+        };
+    }
+
+    /**
+     * Describe a comment change: new/updated/deleted comment or reply
+     */
+    formatCommentChange(change) {
+        const item = change.item || {};
+        const kind = change.commentId ? `Reply ${change.id} (on comment ${change.commentId})` : `Comment ${change.id}`;
+
+        if (change.action === 'delete') {
+            return `🗑️ **Deleted** ${kind}`;
+        }
+
+        const isNew = item.createdAt && item.createdAt === item.updatedAt;
+        const author = item.user?.name ? ` by ${item.user.name}` : '';
+        const status = !change.commentId && typeof item.resolved === 'boolean' ? ` · ${item.resolved ? '✅ Resolved' : '🔄 Open'}` : '';
+        const when = item.updatedAt ? ` · ${new Date(item.updatedAt).toLocaleString()}` : '';
+        const content = item.content ? '\n' + this.prefixLines(this.formatCommentContent(item.content), '> ') : '';
+        return `${isNew ? '🆕 **New**' : '✏️ **Updated**'} ${kind}${author}${status}${when}${content}`;
+    }
+
+    async getCommentChanges(docId, workspaceId, cursor = null, limit = 50) {
+        this.debugLog(`🔔 Getting comment changes for document ${docId} in workspace ${workspaceId}`, { cursor, limit });
+
+        try {
+            const { changes, endCursor, hasNextPage } = await this.fetchCommentChanges(workspaceId, docId, cursor, limit);
+            const count = action => changes.filter(change => change.action === action).length;
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🔔 **Comment Changes for Document ${docId}**\n\n` +
+                            `**Changes:** ${changes.length} (${count('update')} new/updated, ${count('delete')} deleted)\n` +
+                            `**Next Cursor:** ${endCursor ? `\`${endCursor}\`` : 'none'}\n\n` +
+                            (changes.length > 0
+                                ? changes.map(change => this.formatCommentChange(change)).join('\n\n')
+                                : (cursor ? 'No changes since the given cursor.' : 'No comments on this document yet.')) +
+                            (hasNextPage
+                                ? `\n\n**More changes available.** Call again with the next cursor to continue.`
+                                : `\n\nStore the next cursor and pass it as \`cursor\` to only get later changes.`),
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to get comment changes:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to get comment changes: ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * List docs updated at or after `since`, newest first (up to 500)
+     */
+    async listRecentlyUpdatedDocs(workspaceId, since) {
+        const query = `
+            query($workspaceId: String!, $pagination: PaginationInput!) {
+                workspace(id: $workspaceId) {
+                    recentlyUpdatedDocs(pagination: $pagination) {
+                        edges {
+                            node {
+                                id
+                                title
+                                updatedAt
+                            }
+                        }
+                        pageInfo {
+                            endCursor
+                            hasNextPage
+                        }
+                    }
+                }
+            }
+        `;
+
+        const sinceTime = new Date(since).getTime();
+        const docs = [];
+        let after = null;
+        for (let page = 0; page < 10; page++) {
+            const data = await this.makeGraphQLRequest(query, {
+                workspaceId,
+                pagination: { first: 50, ...(after ? { after } : {}) }
+            });
+            const { edges, pageInfo } = data.workspace.recentlyUpdatedDocs;
+            const recent = edges.map(edge => edge.node).filter(doc => doc.updatedAt && new Date(doc.updatedAt).getTime() >= sinceTime);
+            docs.push(...recent);
+            if (recent.length < edges.length || !pageInfo.hasNextPage) break;
+            after = pageInfo.endCursor;
+        }
+        return docs;
+    }
+
+    /**
+     * Docs the current user got comment or comment-mention notifications
+     * about since a given time, newest activity first
+     */
+    async listCommentNotificationDocs(workspaceId, since) {
+        const query = `
+            query($pagination: PaginationInput!) {
+                currentUser {
+                    notifications(pagination: $pagination) {
+                        edges {
+                            node {
+                                type
+                                createdAt
+                                body
+                            }
+                        }
+                        pageInfo {
+                            endCursor
+                            hasNextPage
+                        }
+                    }
+                }
+            }
+        `;
+
+        const sinceTime = new Date(since).getTime();
+        const docs = new Map();
+        let after = null;
+        for (let page = 0; page < 10; page++) {
+            const data = await this.makeGraphQLRequest(query, {
+                pagination: { first: 50, ...(after ? { after } : {}) }
+            });
+            const { edges, pageInfo } = data.currentUser.notifications;
+            const recent = edges.map(edge => edge.node).filter(notification => new Date(notification.createdAt).getTime() >= sinceTime);
+            for (const notification of recent) {
+                const { doc, workspace } = notification.body || {};
+                if ((notification.type === 'Comment' || notification.type === 'CommentMention') &&
+                    doc?.id && workspace?.id === workspaceId && !docs.has(doc.id)) {
+                    docs.set(doc.id, { id: doc.id, title: doc.title || null, activityAt: notification.createdAt });
+                }
+            }
+            if (recent.length < edges.length || !pageInfo.hasNextPage) break;
+            after = pageInfo.endCursor;
+        }
+        return [...docs.values()];
+    }
+
+    /**
+     * Workspace comment feed. Adding a comment doesn't touch a doc's
+     * updatedAt, so the docs to check are those updated since the last poll,
+     * those the user got comment notifications about, and those with comment
+     * activity at or after the last poll. The returned cursor is an opaque
+     * token holding the poll time and the change cursor of each recently
+     * active doc; older entries are pruned, and docs without an entry only
+     * report changes made since the poll time.
+     */
+    async getWorkspaceCommentChanges(workspaceId, cursor = null, since = null, docLimit = 20) {
+        this.debugLog(`🔔 Getting comment changes across workspace ${workspaceId}`, { cursor, since, docLimit });
+
+        try {
+            let state;
+            if (cursor) {
+                try {
+                    state = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+                } catch {
+                    state = null;
+                }
+                if (typeof state?.since !== 'string' || typeof state.docs !== 'object' || !state.docs) {
+                    throw new Error('Invalid cursor');
+                }
+                // Drop entries without a cursor and activity time (older cursor format)
+                state.docs = Object.fromEntries(Object.entries(state.docs).filter(([, entry]) => entry?.cursor && entry.at));
+            } else {
+                const start = since ? new Date(since) : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+                if (Number.isNaN(start.getTime())) {
+                    throw new Error(`Invalid "since" date: ${since}`);
+                }
+                state = { since: start.toISOString(), docs: {} };
+            }
+
+            const [updatedDocs, notifiedDocs] = await Promise.all([
+                this.listRecentlyUpdatedDocs(workspaceId, state.since),
+                this.listCommentNotificationDocs(workspaceId, state.since).catch(error => {
+                    this.debugLog(`⚠️ Could not read comment notifications:`, error);
+                    return [];
+                }),
+            ]);
+
+            // doc ID -> candidate, keeping the latest activity time of any source
+            const candidates = new Map();
+            const addCandidate = (id, title, activityAt) => {
+                const existing = candidates.get(id);
+                if (!existing) {
+                    candidates.set(id, { id, title, activityAt });
+                } else if (new Date(activityAt) > new Date(existing.activityAt)) {
+                    existing.activityAt = activityAt;
+                }
+                if (title && !candidates.get(id).title) candidates.get(id).title = title;
+            };
+            for (const [id, entry] of Object.entries(state.docs)) addCandidate(id, entry.title || null, entry.at);
+            for (const doc of notifiedDocs) addCandidate(doc.id, doc.title, doc.activityAt);
+            for (const doc of updatedDocs) addCandidate(doc.id, doc.title, doc.updatedAt);
+
+            // Oldest first, so docs left over beyond docLimit are picked up by the next poll
+            const byActivity = [...candidates.values()].sort((a, b) => new Date(a.activityAt) - new Date(b.activityAt));
+            const scanned = byActivity.slice(0, docLimit);
+            const sinceTime = new Date(state.since).getTime();
+            const sections = [];
+            let total = 0;
+
+            for (const doc of scanned) {
+                const entry = state.docs[doc.id];
+                const changes = [];
+                let docCursor = entry?.cursor || null;
+                let hasNextPage = true;
+                while (hasNextPage) {
+                    const page = await this.fetchCommentChanges(workspaceId, doc.id, docCursor, 100);
+                    changes.push(...page.changes);
+                    hasNextPage = page.hasNextPage && page.changes.length > 0;
+                    docCursor = page.endCursor;
+                }
+
+                // Without a cursor the feed starts at the doc's first comment;
+                // only report what changed since the poll time
+                const fresh = entry
+                    ? changes
+                    : changes.filter(change => change.item?.updatedAt && new Date(change.item.updatedAt).getTime() >= sinceTime);
+                const lastChangeAt = fresh
+                    .map(change => change.item?.updatedAt)
+                    .filter(Boolean)
+                    .sort((a, b) => new Date(a) - new Date(b))
+                    .pop();
+
+                if (docCursor && (entry || fresh.length > 0)) {
+                    state.docs[doc.id] = {
+                        cursor: docCursor,
+                        at: lastChangeAt || entry?.at || doc.activityAt,
+                        title: doc.title || entry?.title || null,
+                    };
+                }
+                if (fresh.length > 0) {
+                    total += fresh.length;
+                    sections.push(`### ${doc.title || 'Untitled'} (${doc.id})\n\n` +
+                        fresh.map(change => this.formatCommentChange(change)).join('\n\n'));
+                }
+            }
+
+            if (scanned.length > 0) {
+                state.since = scanned[scanned.length - 1].activityAt;
+            }
+            const newSinceTime = new Date(state.since).getTime();
+            for (const [id, entry] of Object.entries(state.docs)) {
+                if (!entry?.at || new Date(entry.at).getTime() < newSinceTime) {
+                    delete state.docs[id];
+                }
+            }
+            const nextCursor = Buffer.from(JSON.stringify(state)).toString('base64url');
+            const pending = byActivity.length - scanned.length;
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🔔 **Comment Changes in Workspace ${workspaceId}**\n\n` +
+                            `**Documents Checked:** ${scanned.length}${pending > 0 ? ` (${pending} more pending)` : ''}\n` +
+                            `**Changes:** ${total}\n` +
+                            `**Next Cursor:** \`${nextCursor}\`\n\n` +
+                            (sections.length > 0 ? sections.join('\n\n---\n\n') : 'No comment changes in recently active documents.') +
+                            (pending > 0
+                                ? `\n\n**More documents pending.** Call again with the next cursor to continue.`
+                                : ''),
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to get workspace comment changes:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to get workspace comment changes: ${error.message}`
+            );
+        }
+    }
+
+    async advancedSearch(workspaceId, query, table = 'doc', fields = ['title', 'content', 'id'], limit = 10, highlights = [], after = null) {
+        this.debugLog(`🔍 Performing advanced search in workspace ${workspaceId}`, { query, table, fields, limit, after });
+        
+        const searchQuery = `
+            query($workspaceId: String!, $input: SearchInput!) {
+                workspace(id: $workspaceId) {
+                    search(input: $input) {
+                        nodes {
+                            fields
+                            highlights
+                        }
+                        pagination {
+                            count
+                            hasMore
+                            nextCursor
+                        }
+                    }
+                }
+            }
+        `;
+
+        try {
+            const searchInput = {
+                query,
+                table,
+                options: {
+                    fields,
+                    pagination: {
+                        limit,
+                        ...(after ? { cursor: after } : {})
+                    }
+                }
+            };
+
+            // Add highlights if provided
+            if (highlights && highlights.length > 0) {
+                searchInput.options.highlights = highlights;
+            }
+
+            const data = await this.makeGraphQLRequest(searchQuery, {
+                workspaceId,
+                input: searchInput
+            });
+            
+            const searchResults = data.workspace.search;
+            const results = searchResults.nodes;
+            
+            if (results.length === 0) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `🔍 **No results found**\n\nQuery: ${JSON.stringify(query, null, 2)}\nTable: ${table}\nFields: ${fields.join(', ')}`,
+                        },
+                    ],
+                };
+            }
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🔍 **Advanced Search Results (${searchResults.pagination.count} found)**\n\n` +
+                            `**Query:** ${JSON.stringify(query, null, 2)}\n` +
+                            `**Table:** ${table}\n` +
+                            `**Fields:** ${fields.join(', ')}\n\n` +
+                            `**Results:**\n\n` +
+                            results.map((result, index) => {
+                                let resultText = `**Result ${index + 1}:**\n`;
+                                
+                                // Display fields
+                                if (result.fields) {
+                                    Object.entries(result.fields).forEach(([key, value]) => {
+                                        resultText += `• **${key}:** ${value}\n`;
+                                    });
+                                }
+                                
+                                // Display highlights if available
+                                if (result.highlights && Object.keys(result.highlights).length > 0) {
+                                    resultText += `• **Highlights:**\n`;
+                                    Object.entries(result.highlights).forEach(([key, value]) => {
+                                        resultText += `  - ${key}: ${value}\n`;
+                                    });
+                                }
+                                
+                                return resultText;
+                            }).join('\n---\n\n') +
+                            `\n**Pagination:** ${searchResults.pagination.hasMore
+                                ? `More results available. Pass \`after: "${searchResults.pagination.nextCursor}"\` to fetch the next page.`
+                                : 'All results shown'}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Advanced search failed:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Advanced search failed: ${error.message}`
+            );
+        }
+    }
+
+    async aggregateSearch(workspaceId, query, field = 'docId', table = 'block', hitFields = ['blockId', 'flavour', 'content'], hitsPerGroup = 3, limit = 20, after = null, highlights = []) {
+        this.debugLog(`🔍 Aggregating search results in workspace ${workspaceId}`, { query, field, table, limit, after });
+
+        const aggregateQuery = `
+            query($workspaceId: String!, $input: AggregateInput!) {
+                workspace(id: $workspaceId) {
+                    aggregate(input: $input) {
+                        buckets {
+                            key
+                            count
+                            hits {
+                                nodes {
+                                    fields
+                                    highlights
+                                }
+                            }
+                        }
+                        pagination {
+                            count
+                            hasMore
+                            nextCursor
+                        }
+                    }
+                }
+            }
+        `;
+
+        try {
+            const aggregateInput = {
+                query,
+                table,
+                field,
+                options: {
+                    hits: {
+                        fields: hitFields,
+                        pagination: {
+                            limit: hitsPerGroup
+                        }
+                    },
+                    pagination: {
+                        limit,
+                        ...(after ? { cursor: after } : {})
+                    }
+                }
+            };
+
+            if (highlights && highlights.length > 0) {
+                aggregateInput.options.hits.highlights = highlights;
+            }
+
+            const data = await this.makeGraphQLRequest(aggregateQuery, {
+                workspaceId,
+                input: aggregateInput
+            });
+
+            const { buckets, pagination } = data.workspace.aggregate;
+
+            if (buckets.length === 0) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `🔍 **No results found**\n\nQuery: ${JSON.stringify(query, null, 2)}\nTable: ${table}\nGrouped By: ${field}`,
+                        },
+                    ],
+                };
+            }
+
+            // Show document titles when grouping by document
+            let titleOf = () => null;
+            if (field === 'docId') {
+                const structure = await this.loadWorkspaceStructure(workspaceId).catch(error => {
+                    this.debugLog(`⚠️ Could not load document titles:`, error);
+                    return { pages: [] };
+                });
+                titleOf = docId => structure.pages.find(page => page.id === docId)?.title || 'Untitled';
+            }
+
+            const formatValue = value => (Array.isArray(value) ? value.join(', ') : value);
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🔍 **Aggregated Search Results (${pagination.count} hits in ${buckets.length} groups)**\n\n` +
+                            `**Query:** ${JSON.stringify(query, null, 2)}\n` +
+                            `**Table:** ${table}\n` +
+                            `**Grouped By:** ${field}\n\n` +
+                            buckets.map(bucket => {
+                                const title = titleOf(bucket.key);
+                                let bucketText = `**${title ? `📄 ${title}` : bucket.key}** (${bucket.count} hit${bucket.count === 1 ? '' : 's'})\n`;
+                                if (title) {
+                                    bucketText += `• **Document ID:** ${bucket.key}\n`;
+                                }
+
+                                bucket.hits.nodes.forEach((hit, index) => {
+                                    bucketText += `• **Hit ${index + 1}:**\n`;
+                                    Object.entries(hit.fields || {}).forEach(([key, value]) => {
+                                        bucketText += `  - ${key}: ${formatValue(value)}\n`;
+                                    });
+                                    Object.entries(hit.highlights || {}).forEach(([key, value]) => {
+                                        bucketText += `  - ${key} (highlight): ${formatValue(value)}\n`;
+                                    });
+                                });
+                                if (bucket.count > bucket.hits.nodes.length) {
+                                    bucketText += `• …and ${bucket.count - bucket.hits.nodes.length} more\n`;
+                                }
+
+                                return bucketText;
+                            }).join('\n') +
+                            `\n**Pagination:** ${pagination.hasMore
+                                ? `More groups available. Pass \`after: "${pagination.nextCursor}"\` to fetch the next page.`
+                                : 'All groups shown'}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Aggregated search failed:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Aggregated search failed: ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Create a Copilot chat session and return its ID
+     */
+    async createCopilotSession(workspaceId, docId = null, promptName = 'Chat With AFFiNE AI', reuseLatestChat = false, pinned = false) {
+        const mutation = `
+            mutation($options: CreateChatSessionInput!) {
+                createCopilotSession(options: $options)
+            }
+        `;
+
+        const data = await this.makeGraphQLRequest(mutation, {
+            options: {
+                workspaceId,
+                promptName,
+                ...(docId ? { docId } : {}),
+                reuseLatestChat,
+                pinned
+            }
+        });
+        return data.createCopilotSession;
+    }
+
+    /**
+     * Get the Copilot context used for semantic search in a workspace,
+     * creating a session and context on first use
+     */
+    async getCopilotContext(workspaceId) {
+        if (!this.copilotContexts.has(workspaceId)) {
+            // A session of its own, so searching never touches the user's chats
+            const sessionId = await this.createCopilotSession(workspaceId, null, 'Chat With AFFiNE AI', false);
+            const data = await this.makeGraphQLRequest(`
+                mutation($workspaceId: String!, $sessionId: String!) {
+                    createCopilotContext(workspaceId: $workspaceId, sessionId: $sessionId)
+                }
+            `, { workspaceId, sessionId });
+            this.copilotContexts.set(workspaceId, data.createCopilotContext);
+        }
+        return this.copilotContexts.get(workspaceId);
+    }
+
+    async semanticSearch(workspaceId, query, limit = 10, threshold = null, includeFiles = false) {
+        this.debugLog(`🧠 Semantic search in workspace ${workspaceId}`, { query, limit, threshold, includeFiles });
+
+        const matchQuery = `
+            query($workspaceId: String!, $contextId: String!, $content: String!, $limit: SafeInt, $threshold: Float, $includeFiles: Boolean!) {
+                currentUser {
+                    copilot(workspaceId: $workspaceId) {
+                        contexts(contextId: $contextId) {
+                            matchWorkspaceDocs(content: $content, limit: $limit, threshold: $threshold) {
+                                docId
+                                chunk
+                                content
+                                distance
+                            }
+                            matchFiles(content: $content, limit: $limit, threshold: $threshold) @include(if: $includeFiles) {
+                                fileId
+                                blobId
+                                name
+                                mimeType
+                                chunk
+                                content
+                                distance
+                            }
+                        }
+                    }
+                }
+            }
+        `;
+
+        const runMatch = async () => {
+            const contextId = await this.getCopilotContext(workspaceId);
+            const data = await this.makeGraphQLRequest(matchQuery, {
+                workspaceId,
+                contextId,
+                content: query,
+                limit,
+                threshold,
+                includeFiles
+            });
+            const context = data.currentUser.copilot.contexts[0];
+            if (!context) {
+                throw new Error(`Copilot context ${contextId} not found`);
+            }
+            return context;
+        };
+
+        try {
+            let context;
+            try {
+                context = await runMatch();
+            } catch (error) {
+                // The cached context may have expired; retry once with a fresh one
+                if (!this.copilotContexts.has(workspaceId)) throw error;
+                this.debugLog(`⚠️ Semantic search failed, retrying with a new context:`, error);
+                this.copilotContexts.delete(workspaceId);
+                context = await runMatch();
+            }
+
+            const structure = await this.loadWorkspaceStructure(workspaceId).catch(error => {
+                this.debugLog(`⚠️ Could not load document titles:`, error);
+                return { pages: [] };
+            });
+            const titleOf = docId => structure.pages.find(page => page.id === docId)?.title || 'Untitled';
+            const similarity = distance => (typeof distance === 'number' ? (1 - distance).toFixed(3) : 'n/a');
+            const byDistance = (a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity);
+
+            const results = [
+                ...context.matchWorkspaceDocs.map(match => ({ ...match, kind: 'doc' })),
+                ...(context.matchFiles || []).map(match => ({ ...match, kind: 'file' })),
+            ].sort(byDistance).slice(0, limit);
+
+            if (results.length === 0) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `🧠 **No semantically similar content found for:** "${query}"\n\n` +
+                                `Make sure workspace embedding is enabled and documents have been indexed.`,
+                        },
+                    ],
+                };
+            }
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🧠 **Semantic Search Results for:** "${query}" (${results.length})\n\n` +
+                            results.map((match, index) => {
+                                const source = match.kind === 'doc'
+                                    ? `📄 ${titleOf(match.docId)}\n   Document ID: ${match.docId} · chunk ${match.chunk}`
+                                    : `📎 ${match.name} (${match.mimeType})\n   File ID: ${match.fileId} · Blob: ${match.blobId} · chunk ${match.chunk}`;
+                                return `**${index + 1}.** Similarity ${similarity(match.distance)} · ${source}\n` +
+                                    this.prefixLines(match.content.trim(), '   > ');
+                            }).join('\n\n'),
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to run semantic search:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to run semantic search: ${error.message}`
+            );
+        }
+    }
+
+    async getEmbeddingStatus(workspaceId) {
+        this.debugLog(`🧬 Getting embedding status of workspace ${workspaceId}`);
+
+        const query = `
+            query($workspaceId: String!) {
+                queryWorkspaceEmbeddingStatus(workspaceId: $workspaceId) {
+                    embedded
+                    total
+                }
+                workspace(id: $workspaceId) {
+                    enableDocEmbedding
+                    embedding {
+                        allIgnoredDocs {
+                            docId
+                            title
+                            createdAt
+                            createdBy
+                        }
+                        files(pagination: { first: 100 }) {
+                            totalCount
+                            edges {
+                                node {
+                                    fileId
+                                    fileName
+                                    mimeType
+                                    size
+                                    createdAt
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        `;
+
+        try {
+            const data = await this.makeGraphQLRequest(query, { workspaceId });
+            const { embedded, total } = data.queryWorkspaceEmbeddingStatus;
+            const { enableDocEmbedding, embedding } = data.workspace;
+            const files = embedding.files.edges.map(edge => edge.node);
+            const percent = total > 0 ? Math.round((embedded / total) * 100) : 100;
+
+            let text = `🧬 **Embedding Status for Workspace ${workspaceId}**\n\n` +
+                `**Document Embedding:** ${enableDocEmbedding ? 'Enabled' : 'Disabled (enable it in the workspace AI settings)'}\n` +
+                `**Progress:** ${embedded} / ${total} (${percent}%)\n` +
+                `**Pending:** ${Math.max(total - embedded, 0)}\n` +
+                `**Ignored Documents:** ${embedding.allIgnoredDocs.length}\n` +
+                `**Reference Files:** ${embedding.files.totalCount}`;
+
+            if (embedding.allIgnoredDocs.length > 0) {
+                text += `\n\n**Ignored Documents:**\n` +
+                    embedding.allIgnoredDocs.map(doc =>
+                        `• ${doc.title || 'Untitled'} (${doc.docId}) — ignored ${new Date(doc.createdAt).toLocaleString()}${doc.createdBy ? ` by ${doc.createdBy}` : ''}`
+                    ).join('\n');
+            }
+
+            if (files.length > 0) {
+                text += `\n\n**Reference Files:**\n` +
+                    files.map(file =>
+                        `• ${file.fileName} (${file.mimeType}, ${this.formatFileSize(file.size)}) — File ID: ${file.fileId}, added ${new Date(file.createdAt).toLocaleString()}`
+                    ).join('\n');
+            }
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to get embedding status:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to get embedding status: ${error.message}`
+            );
+        }
+    }
+
+    async queueEmbedding(workspaceId, docIds = null, updatedSinceDays = 7) {
+        this.debugLog(`🧬 Queueing documents for embedding in workspace ${workspaceId}`, { docIds, updatedSinceDays });
+
+        const mutation = `
+            mutation($workspaceId: String!, $docId: [String!]!) {
+                queueWorkspaceEmbedding(workspaceId: $workspaceId, docId: $docId)
+            }
+        `;
+
+        try {
+            // Without explicit IDs, re-queue the docs that changed recently
+            const ids = docIds?.length > 0
+                ? docIds
+                : (await this.listRecentlyUpdatedDocs(
+                    workspaceId,
+                    new Date(Date.now() - updatedSinceDays * 24 * 60 * 60 * 1000).toISOString()
+                )).map(doc => doc.id);
+
+            if (ids.length === 0) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `🧬 **No documents to queue**\n\nNo documents were updated in the last ${updatedSinceDays} day(s).`,
+                        },
+                    ],
+                };
+            }
+
+            await this.makeGraphQLRequest(mutation, { workspaceId, docId: ids });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🧬 **Queued ${ids.length} document(s) for embedding**\n\n` +
+                            `**Workspace ID:** ${workspaceId}\n` +
+                            `**Document IDs:** ${ids.join(', ')}\n\n` +
+                            `Check progress with 'get_embedding_status'.`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to queue embedding:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to queue embedding: ${error.message}`
+            );
+        }
+    }
+
+    async updateEmbeddingIgnoredDocs(workspaceId, add = [], remove = []) {
+        this.debugLog(`🧬 Updating embedding ignored docs in workspace ${workspaceId}`, { add, remove });
+
+        const mutation = `
+            mutation($workspaceId: String!, $add: [String!], $remove: [String!]) {
+                updateWorkspaceEmbeddingIgnoredDocs(workspaceId: $workspaceId, add: $add, remove: $remove)
+            }
+        `;
+
+        try {
+            if (!add?.length && !remove?.length) {
+                throw new Error('Provide document IDs to add and/or remove');
+            }
+
+            const data = await this.makeGraphQLRequest(mutation, { workspaceId, add: add || [], remove: remove || [] });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🧬 **Embedding ignore list updated**\n\n` +
+                            `**Excluded From AI Indexing:** ${add?.length ? add.join(', ') : 'None'}\n` +
+                            `**Included Again:** ${remove?.length ? remove.join(', ') : 'None'}\n` +
+                            `**Documents Changed:** ${data.updateWorkspaceEmbeddingIgnoredDocs}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to update embedding ignored docs:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to update embedding ignored docs: ${error.message}`
+            );
+        }
+    }
+
+    async addEmbeddingFile(workspaceId, filePath = null, base64 = null, filename = null, mimeType = null) {
+        this.debugLog(`🧬 Adding embedding file to workspace ${workspaceId}`, { filePath, filename, mimeType });
+
+        const mutation = `
+            mutation($workspaceId: String!, $blob: Upload!) {
+                addWorkspaceEmbeddingFiles(workspaceId: $workspaceId, blob: $blob) {
+                    fileId
+                    fileName
+                    mimeType
+                    size
+                    blobId
+                }
+            }
+        `;
+
+        try {
+            const upload = await this.readUploadInput(filePath, base64, filename, mimeType);
+            const data = await this.makeGraphQLRequest(
+                mutation,
+                { workspaceId, blob: null },
+                { 'variables.blob': upload }
+            );
+            const file = data.addWorkspaceEmbeddingFiles;
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🧬 **Reference file added for AI**\n\n` +
+                            `**File ID:** ${file.fileId}\n` +
+                            `**Name:** ${file.fileName}\n` +
+                            `**Type:** ${file.mimeType}\n` +
+                            `**Size:** ${this.formatFileSize(file.size)}\n\n` +
+                            `The file is embedded in the background and then available to AI chat and 'semantic_search' with includeFiles.`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to add embedding file:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to add embedding file: ${error.message}`
+            );
+        }
+    }
+
+    async removeEmbeddingFile(workspaceId, fileId) {
+        this.debugLog(`🧬 Removing embedding file ${fileId} from workspace ${workspaceId}`);
+
+        const mutation = `
+            mutation($workspaceId: String!, $fileId: String!) {
+                removeWorkspaceEmbeddingFiles(workspaceId: $workspaceId, fileId: $fileId)
+            }
+        `;
+
+        try {
+            await this.makeGraphQLRequest(mutation, { workspaceId, fileId });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🧬 **Reference file removed**\n\n` +
+                            `**File ID:** ${fileId}\n` +
+                            `**Workspace ID:** ${workspaceId}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to remove embedding file:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to remove embedding file: ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Fetch the user's AI quota in a workspace
+     */
+    async getCopilotQuota(workspaceId) {
+        const data = await this.makeGraphQLRequest(`
+            query($workspaceId: String) {
+                currentUser {
+                    copilot(workspaceId: $workspaceId) {
+                        quota {
+                            limit
+                            used
+                        }
+                    }
+                }
+            }
+        `, { workspaceId });
+        return data.currentUser.copilot.quota;
+    }
+
+    formatCopilotQuota(quota) {
+        return quota.limit === null || quota.limit === undefined
+            ? `${quota.used} used (unlimited)`
+            : `${quota.used} / ${quota.limit} used`;
+    }
+
+    /**
+     * Get the context of a chat session, creating one if it has none yet
+     */
+    async getSessionContext(workspaceId, sessionId) {
+        const data = await this.makeGraphQLRequest(`
+            query($workspaceId: String, $sessionId: String) {
+                currentUser {
+                    copilot(workspaceId: $workspaceId) {
+                        contexts(sessionId: $sessionId) {
+                            id
+                        }
+                    }
+                }
+            }
+        `, { workspaceId, sessionId });
+
+        const existing = data.currentUser.copilot.contexts[0]?.id;
+        if (existing) {
+            return existing;
+        }
+
+        const created = await this.makeGraphQLRequest(`
+            mutation($workspaceId: String!, $sessionId: String!) {
+                createCopilotContext(workspaceId: $workspaceId, sessionId: $sessionId)
+            }
+        `, { workspaceId, sessionId });
+        return created.createCopilotContext;
+    }
+
+    /**
+     * Add docs, tags, collections and a file to a chat context. Tags and
+     * collections are sent with the docs they cover (a collection's filter
+     * rules are not evaluated, only its explicitly included docs). Returns
+     * one line per added item.
+     */
+    async addChatContextItems(workspaceId, contextId, { docIds = [], tagIds = [], collectionIds = [], file = null }) {
+        const added = [];
+
+        const structure = tagIds?.length || collectionIds?.length ? await this.loadWorkspaceStructure(workspaceId) : null;
+        const livePages = new Set((structure?.pages || []).filter(page => !page.trash).map(page => page.id));
+        const collections = (collectionIds || []).map(categoryId => {
+            const collection = structure.collections.find(item => item.id === categoryId);
+            if (!collection) {
+                throw new Error(`Collection ${categoryId} not found in workspace ${workspaceId}`);
+            }
+            return collection;
+        });
+
+        for (const docId of docIds || []) {
+            await this.makeGraphQLRequest(`
+                mutation($options: AddContextDocInput!) {
+                    addContextDoc(options: $options) {
+                        id
+                    }
+                }
+            `, { options: { contextId, docId } });
+            added.push(`📄 Document ${docId}`);
+        }
+
+        const categories = [
+            ...(tagIds || []).map(categoryId => ({
+                type: 'Tag',
+                categoryId,
+                docs: structure.pages.filter(page => livePages.has(page.id) && page.tags?.includes(categoryId)).map(page => page.id),
+            })),
+            ...collections.map(collection => ({
+                type: 'Collection',
+                categoryId: collection.id,
+                docs: (collection.allowList || []).filter(docId => livePages.has(docId)),
+                name: collection.name,
+                hasRules: (collection.rules?.filters || collection.filterList || []).length > 0,
+            })),
+        ];
+        for (const { name, hasRules, ...category } of categories) {
+            await this.makeGraphQLRequest(`
+                mutation($options: AddContextCategoryInput!) {
+                    addContextCategory(options: $options) {
+                        id
+                    }
+                }
+            `, { options: { contextId, ...category } });
+            added.push(category.type === 'Tag'
+                ? `🏷️ Tag ${category.categoryId} (${category.docs.length} docs)`
+                : `📚 Collection ${name || category.categoryId} (${category.docs.length} included docs${hasRules ? '; docs matched only by its filter rules are not added' : ''})`);
+        }
+
+        if (file) {
+            const data = await this.makeGraphQLRequest(`
+                mutation($options: AddContextFileInput!, $content: Upload!) {
+                    addContextFile(options: $options, content: $content) {
+                        id
+                        name
+                        status
+                    }
+                }
+            `, { options: { contextId }, content: null }, { 'variables.content': file });
+            added.push(`📎 File ${data.addContextFile.name} (${data.addContextFile.id}, ${data.addContextFile.status})`);
+        }
+
+        return added;
+    }
+
+    /**
+     * Read an AI answer from the chat SSE stream until it completes.
+     * Returns null if it is not complete within AI_RESPONSE_TIMEOUT_MS.
+     */
+    async readCopilotAnswer(sessionId, messageId) {
+        const signal = AbortSignal.timeout(AI_RESPONSE_TIMEOUT_MS);
+        let body;
+        try {
+            const response = await this.makeRestRequest(
+                `/api/copilot/chat/${encodeURIComponent(sessionId)}/stream?messageId=${encodeURIComponent(messageId)}`,
+                {
+                    headers: { 'Accept': 'text/event-stream' },
+                    signal,
+                }
+            );
+            body = await response.text();
+        } catch (error) {
+            if (signal.aborted) {
+                return null;
+            }
+            throw error;
+        }
+
+        let answer = '';
+        for (const rawEvent of body.split(/\r?\n\r?\n/)) {
+            let event = 'message';
+            const data = [];
+            for (const line of rawEvent.split(/\r?\n/)) {
+                if (line.startsWith('event:')) event = line.slice('event:'.length).trim();
+                if (line.startsWith('data:')) data.push(line.slice('data:'.length).replace(/^ /, ''));
+            }
+            if (data.length === 0) continue;
+
+            if (event === 'error') {
+                let message = data.join('\n');
+                try {
+                    message = JSON.parse(message).message || message;
+                } catch {
+                    // plain text error
+                }
+                throw new Error(`AFFiNE AI error: ${message}`);
+            }
+            if (event === 'message') {
+                answer += data.join('\n');
+            }
+        }
+        return answer;
+    }
+
+    async startAiChat(workspaceId, docId = null, promptName = 'Chat With AFFiNE AI', docIds = [], tagIds = [], collectionIds = [], pinned = false) {
+        this.debugLog(`🤖 Starting AI chat in workspace ${workspaceId}`, { docId, promptName, docIds, tagIds, collectionIds });
+
+        try {
+            const sessionId = await this.createCopilotSession(workspaceId, docId, promptName, false, pinned);
+            const contextId = await this.getSessionContext(workspaceId, sessionId);
+            const added = await this.addChatContextItems(workspaceId, contextId, { docIds, tagIds, collectionIds });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🤖 **AI chat session started**\n\n` +
+                            `**Session ID:** ${sessionId}\n` +
+                            `**Context ID:** ${contextId}\n` +
+                            `**Bound To Document:** ${docId || 'None'}\n` +
+                            `**Prompt:** ${promptName}\n` +
+                            `**Context:** ${added.length > 0 ? '\n' + added.map(item => `• ${item}`).join('\n') : 'Empty'}\n\n` +
+                            `Send messages with 'send_ai_message'.`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to start AI chat:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to start AI chat: ${error.message}`
+            );
+        }
+    }
+
+    async addAiChatContext(workspaceId, sessionId, docIds = [], tagIds = [], collectionIds = [], filePath = null, base64 = null, filename = null, mimeType = null) {
+        this.debugLog(`🤖 Adding context to AI chat ${sessionId}`, { docIds, tagIds, collectionIds, filePath, filename });
+
+        try {
+            if (!docIds?.length && !tagIds?.length && !collectionIds?.length && !filePath && !base64) {
+                throw new Error('Provide docIds, tagIds, collectionIds or a file to add');
+            }
+
+            const file = filePath || base64 ? await this.readUploadInput(filePath, base64, filename, mimeType) : null;
+            const contextId = await this.getSessionContext(workspaceId, sessionId);
+            const added = await this.addChatContextItems(workspaceId, contextId, { docIds, tagIds, collectionIds, file });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🤖 **Added ${added.length} item(s) to the chat context**\n\n` +
+                            `**Session ID:** ${sessionId}\n` +
+                            `**Context ID:** ${contextId}\n\n` +
+                            added.map(item => `• ${item}`).join('\n'),
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to add AI chat context:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to add AI chat context: ${error.message}`
+            );
+        }
+    }
+
+    async sendAiMessage(workspaceId, sessionId, content, attachments = []) {
+        this.debugLog(`🤖 Sending message to AI chat ${sessionId}`);
+
+        const mutation = `
+            mutation($options: CreateChatMessageInput!) {
+                createCopilotMessage(options: $options)
+            }
+        `;
+
+        try {
+            const quota = await this.getCopilotQuota(workspaceId);
+            if (quota.limit !== null && quota.limit !== undefined && quota.used >= quota.limit) {
+                throw new Error(`AI quota exhausted (${this.formatCopilotQuota(quota)})`);
+            }
+
+            const data = await this.makeGraphQLRequest(mutation, {
+                options: {
+                    sessionId,
+                    content,
+                    ...(attachments?.length ? { attachments } : {})
+                }
+            });
+            const messageId = data.createCopilotMessage;
+            const answer = await this.readCopilotAnswer(sessionId, messageId);
+            if (answer === null) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `⏳ **AFFiNE AI is still answering**\n\n` +
+                                `No complete answer within ${AI_RESPONSE_TIMEOUT_MS / 1000}s.\n\n` +
+                                `**Session ID:** ${sessionId}\n` +
+                                `**Message ID:** ${messageId}\n` +
+                                `**Quota Before Sending:** ${this.formatCopilotQuota(quota)}\n\n` +
+                                `Read the answer later with 'get_ai_chat' using the session ID.`,
+                        },
+                    ],
+                };
+            }
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🤖 **AFFiNE AI**\n\n` +
+                            `${answer || '(empty answer)'}\n\n` +
+                            `---\n` +
+                            `**Session ID:** ${sessionId}\n` +
+                            `**Message ID:** ${messageId}\n` +
+                            `**Quota Before Sending:** ${this.formatCopilotQuota(quota)}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to send AI message:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to send AI message: ${error.message}`
+            );
+        }
+    }
+
+    async listAiChats(workspaceId, docId = null, limit = 10, cursor = null) {
+        this.debugLog(`🤖 Listing AI chats in workspace ${workspaceId}`, { docId, limit, cursor });
+
+        const query = `
+            query($workspaceId: String, $docId: String, $options: QueryChatHistoriesInput, $pagination: PaginationInput!) {
+                currentUser {
+                    copilot(workspaceId: $workspaceId) {
+                        quota {
+                            limit
+                            used
+                        }
+                        chats(docId: $docId, options: $options, pagination: $pagination) {
+                            totalCount
+                            edges {
+                                cursor
+                                node {
+                                    sessionId
+                                    title
+                                    docId
+                                    pinned
+                                    promptName
+                                    tokens
+                                    createdAt
+                                    updatedAt
+                                    parentSessionId
+                                }
+                            }
+                            pageInfo {
+                                endCursor
+                                hasNextPage
+                            }
+                        }
+                    }
+                }
+            }
+        `;
+
+        try {
+            const data = await this.makeGraphQLRequest(query, {
+                workspaceId,
+                docId,
+                options: { action: false, sessionOrder: 'desc' },
+                pagination: { first: limit, ...(cursor ? { after: cursor } : {}) }
+            });
+            const { quota, chats } = data.currentUser.copilot;
+            const sessions = chats.edges.map(edge => edge.node);
+
+            let text = `🤖 **AI Chat Sessions (${sessions.length} of ${chats.totalCount})**\n\n` +
+                `**AI Quota:** ${this.formatCopilotQuota(quota)}\n\n`;
+            text += sessions.length > 0
+                ? sessions.map(session =>
+                    `**${session.title || 'Untitled chat'}**${session.pinned ? ' 📌' : ''}\n` +
+                    `• **Session ID:** ${session.sessionId}\n` +
+                    `• **Document:** ${session.docId || 'None'}\n` +
+                    `• **Updated:** ${new Date(session.updatedAt).toLocaleString()}\n` +
+                    `• **Tokens:** ${session.tokens}` +
+                    (session.parentSessionId ? `\n• **Forked From:** ${session.parentSessionId}` : '')
+                ).join('\n\n')
+                : 'No chat sessions found.';
+
+            if (chats.pageInfo.hasNextPage) {
+                text += `\n\n**More sessions available.** Use cursor \`${chats.pageInfo.endCursor || chats.edges[chats.edges.length - 1].cursor}\` to fetch the next page.`;
+            }
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to list AI chats:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to list AI chats: ${error.message}`
+            );
+        }
+    }
+
+    async getAiChat(workspaceId, sessionId) {
+        this.debugLog(`🤖 Getting AI chat ${sessionId}`);
+
+        const query = `
+            query($workspaceId: String, $options: QueryChatHistoriesInput, $pagination: PaginationInput!) {
+                currentUser {
+                    copilot(workspaceId: $workspaceId) {
+                        chats(options: $options, pagination: $pagination) {
+                            edges {
+                                node {
+                                    sessionId
+                                    title
+                                    docId
+                                    tokens
+                                    messages {
+                                        id
+                                        role
+                                        content
+                                        attachments
+                                        createdAt
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        `;
+
+        try {
+            const data = await this.makeGraphQLRequest(query, {
+                workspaceId,
+                options: { sessionId, withMessages: true, messageOrder: 'asc' },
+                pagination: { first: 1 }
+            });
+            const session = data.currentUser.copilot.chats.edges[0]?.node;
+            if (!session) {
+                throw new Error(`Chat session ${sessionId} not found`);
+            }
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🤖 **${session.title || 'Untitled chat'}**\n\n` +
+                            `**Session ID:** ${session.sessionId}\n` +
+                            `**Document:** ${session.docId || 'None'}\n` +
+                            `**Tokens:** ${session.tokens}\n\n` +
+                            (session.messages.length > 0
+                                ? session.messages.map(message =>
+                                    `**${message.role === 'user' ? '🧑 User' : message.role === 'assistant' ? '🤖 AI' : message.role}** · ${new Date(message.createdAt).toLocaleString()}${message.id ? ` · ${message.id}` : ''}\n` +
+                                    message.content
+                                ).join('\n\n---\n\n')
+                                : 'No messages yet.'),
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to get AI chat:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to get AI chat: ${error.message}`
+            );
+        }
+    }
+
+    async forkAiChat(workspaceId, sessionId, docId, latestMessageId = null) {
+        this.debugLog(`🤖 Forking AI chat ${sessionId}`, { docId, latestMessageId });
+
+        const mutation = `
+            mutation($options: ForkChatSessionInput!) {
+                forkCopilotSession(options: $options)
+            }
+        `;
+
+        try {
+            const data = await this.makeGraphQLRequest(mutation, {
+                options: {
+                    workspaceId,
+                    docId,
+                    sessionId,
+                    ...(latestMessageId ? { latestMessageId } : {})
+                }
+            });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🤖 **AI chat forked successfully**\n\n` +
+                            `**New Session ID:** ${data.forkCopilotSession}\n` +
+                            `**Forked From:** ${sessionId}\n` +
+                            `**Kept Messages Up To:** ${latestMessageId || 'the latest message'}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to fork AI chat:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to fork AI chat: ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Fetch an audio transcription job by blob or job ID
+     */
+    async getAudioTranscription(workspaceId, blobId = null, jobId = null) {
+        const data = await this.makeGraphQLRequest(`
+            query($workspaceId: String, $blobId: String, $jobId: String) {
+                currentUser {
+                    copilot(workspaceId: $workspaceId) {
+                        audioTranscription(blobId: $blobId, jobId: $jobId) {
+                            ${TRANSCRIPTION_RESULT_FIELDS}
+                        }
+                    }
+                }
+            }
+        `, { workspaceId, blobId, jobId });
+        return data.currentUser.copilot.audioTranscription;
+    }
 
-        const data = await this.makeGraphQLRequest(query);
-        return data.workspaces;
+    /**
+     * Render a transcription result as Markdown
+     */
+    formatTranscription(result) {
+        let markdown = '';
+        if (result.summary) {
+            markdown += `## Summary\n\n${result.summary.trim()}\n\n`;
+        }
+        if (result.actions) {
+            markdown += `## Action Items\n\n${result.actions.trim()}\n\n`;
+        }
+        markdown += `## Transcript\n\n`;
+        markdown += result.transcription?.length
+            ? result.transcription.map(item =>
+                `**${item.speaker}** (${item.start} – ${item.end}): ${item.transcription.trim()}`
+            ).join('\n\n')
+            : 'No speech detected.';
+        return markdown;
     }
 
-    async getWorkspaceDocs(workspaceId) {
-        const query = `
-      query($workspaceId: String!) {
-        workspace(id: $workspaceId) {
-          docs(pagination: {first: 50}) {
-            edges {
-              node {
-                id
-                title
-                createdAt
-                updatedAt
-                createdBy {
-                  name
+    async transcribeAudio(workspaceId, filePath = null, base64 = null, filename = null, mimeType = null, jobId = null, createDoc = false, docTitle = null, parentDocId = null, folderId = null, timeoutSeconds = TRANSCRIPTION_WAIT_SECONDS) {
+        this.debugLog(`🎙️ Transcribing audio in workspace ${workspaceId}`, { filePath, filename, jobId, createDoc });
+
+        if (!jobId && base64 && !filePath && !filename && !mimeType) {
+            throw new McpError(
+                ErrorCode.InvalidParams,
+                'Pass filename or mimeType with base64 audio so its format is known'
+            );
+        }
+
+        const submitMutation = `
+            mutation($workspaceId: String!, $blobId: String!, $blob: Upload) {
+                submitAudioTranscription(workspaceId: $workspaceId, blobId: $blobId, blob: $blob) {
+                    ${TRANSCRIPTION_RESULT_FIELDS}
                 }
-                lastUpdatedBy {
-                  name
+            }
+        `;
+
+        try {
+            let job;
+            let blobId = null;
+            if (jobId) {
+                job = await this.getAudioTranscription(workspaceId, null, jobId);
+                if (!job) {
+                    throw new Error(`Transcription job ${jobId} not found`);
+                }
+            } else {
+                const file = await this.readUploadInput(filePath, base64, filename, mimeType);
+                if (!file.mimeType.startsWith('audio/') && !file.mimeType.startsWith('video/')) {
+                    throw new Error(`${file.filename} is not an audio file (${file.mimeType})`);
+                }
+                blobId = await this.setBlob(workspaceId, file.data, file.filename, file.mimeType);
+                const data = await this.makeGraphQLRequest(
+                    submitMutation,
+                    { workspaceId, blobId, blob: null },
+                    { 'variables.blob': file }
+                );
+                job = data.submitAudioTranscription;
+                if (!job) {
+                    throw new Error('AFFiNE did not accept the transcription job');
                 }
-              }
             }
-          }
-        }
-      }
-    `;
 
-        const data = await this.makeGraphQLRequest(query, { workspaceId });
-        return data.workspace.docs.edges.map(edge => edge.node);
+            const waitSeconds = Math.min(Math.max(Number(timeoutSeconds ?? TRANSCRIPTION_WAIT_SECONDS) || 0, 0), TRANSCRIPTION_MAX_WAIT_SECONDS);
+            const deadline = Date.now() + waitSeconds * 1000;
+            let retried = false;
+            while (job.status !== 'finished' && job.status !== 'claimed') {
+                if (job.status === 'failed') {
+                    if (retried) {
+                        throw new Error(`Transcription job ${job.id} failed`);
+                    }
+                    retried = true;
+                    this.debugLog(`🎙️ Transcription job ${job.id} failed, retrying`);
+                    const data = await this.makeGraphQLRequest(`
+                        mutation($workspaceId: String!, $jobId: String!) {
+                            retryAudioTranscription(workspaceId: $workspaceId, jobId: $jobId) {
+                                ${TRANSCRIPTION_RESULT_FIELDS}
+                            }
+                        }
+                    `, { workspaceId, jobId: job.id });
+                    job = data.retryAudioTranscription || job;
+                    continue;
+                }
+
+                if (Date.now() >= deadline) {
+                    return {
+                        content: [
+                            {
+                                type: 'text',
+                                text: `🎙️ **Transcription still ${job.status}**\n\n` +
+                                    `**Job ID:** ${job.id}\n` +
+                                    (blobId ? `**Blob Key:** ${blobId}\n` : '') +
+                                    `\nCall 'transcribe_audio' again with this jobId to keep waiting.`,
+                            },
+                        ],
+                    };
+                }
+
+                await new Promise(resolve => setTimeout(resolve, Math.min(TRANSCRIPTION_POLL_MS, deadline - Date.now())));
+                job = await this.getAudioTranscription(workspaceId, null, job.id) || job;
+            }
+
+            if (job.status === 'finished') {
+                const data = await this.makeGraphQLRequest(`
+                    mutation($jobId: String!) {
+                        claimAudioTranscription(jobId: $jobId) {
+                            ${TRANSCRIPTION_RESULT_FIELDS}
+                        }
+                    }
+                `, { jobId: job.id });
+                job = data.claimAudioTranscription || job;
+            }
+
+            const title = docTitle || job.title || 'Meeting Notes';
+            const markdown = this.formatTranscription(job);
+            let text = `🎙️ **${job.title || 'Transcription'}**\n\n` +
+                `**Job ID:** ${job.id}\n` +
+                (blobId ? `**Blob Key:** ${blobId}\n` : '') +
+                `**Segments:** ${job.transcription?.length || 0}\n\n` +
+                markdown;
+
+            if (createDoc) {
+                const recording = blobId ? `[Recording](${this.getBlobUrl(workspaceId, blobId)})\n\n` : '';
+                const created = await this.createDocument(workspaceId, title, recording + markdown, parentDocId, folderId);
+                text += `\n\n---\n\n${created.content[0].text}`;
+            }
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to transcribe audio:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to transcribe audio: ${error.message}`
+            );
+        }
     }
 
-    async searchDocuments(query, workspaceId = null, limit = 10) {
-        // Handle empty or whitespace-only queries
-        if (!query || !query.trim()) {
-            if (workspaceId) {
-                // If searching a specific workspace, list all documents instead
-                const docs = await this.getWorkspaceDocs(workspaceId);
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `**All documents in workspace ${workspaceId}:**\n\n` +
-                                docs.map(doc => 
-                                    `• **${doc.title}**\n  ID: ${doc.id}\n  Created: ${new Date(doc.createdAt).toLocaleString()}\n  Updated: ${new Date(doc.updatedAt).toLocaleString()}`
-                                ).join('\n\n'),
-                        },
-                    ],
-                };
-            } else {
-                // If searching all workspaces, return a helpful message
+    async getDocumentHistory(docId, workspaceId, before = null, limit = 10) {
+        this.debugLog(`📜 Getting document history for ${docId} in workspace ${workspaceId}`);
+        
+        const query = `
+            query($workspaceId: String!, $guid: String!, $before: DateTime, $take: Int) {
+                workspace(id: $workspaceId) {
+                    histories(guid: $guid, before: $before, take: $take) {
+                        id
+                        timestamp
+                        editor {
+                            name
+                            avatarUrl
+                        }
+                        workspaceId
+                    }
+                }
+            }
+        `;
+
+        try {
+            const variables = {
+                workspaceId,
+                guid: docId,
+                take: limit
+            };
+
+            if (before) {
+                variables.before = before;
+            }
+
+            const data = await this.makeGraphQLRequest(query, variables);
+            
+            const histories = data.workspace.histories;
+            
+            if (!histories || histories.length === 0) {
                 return {
                     content: [
                         {
                             type: 'text',
-                            text: `**No search query provided**\n\nPlease provide a search query to find documents across your workspaces.\n\nExample searches:\n• "meeting notes"\n• "project plan"\n• "todo"`,
+                            text: `📜 **No history found for document**\n\nDocument ID: ${docId}\nWorkspace ID: ${workspaceId}`,
                         },
                     ],
                 };
             }
-        }
-
-        if (workspaceId) {
-            // Search within specific workspace
-            const gqlQuery = `
-        query($workspaceId: String!, $keyword: String!, $limit: Int!) {
-          workspace(id: $workspaceId) {
-            searchDocs(input: {keyword: $keyword, limit: $limit}) {
-              docId
-              title
-              highlight
-              createdAt
-              updatedAt
-            }
-          }
-        }
-      `;
-
-            const data = await this.makeGraphQLRequest(gqlQuery, {
-                workspaceId,
-                keyword: query,
-                limit
-            });
 
             return {
                 content: [
                     {
                         type: 'text',
-                        text: `Found ${data.workspace.searchDocs.length} documents matching "${query}" in workspace:\n\n` +
-                            data.workspace.searchDocs.map(doc => this.formatDocumentResult(doc)).join('\n\n'),
+                        text: `📜 **Document History (${histories.length} entries)**\n\n` +
+                            `**Document ID:** ${docId}\n` +
+                            `**Workspace ID:** ${workspaceId}\n\n` +
+                            `**History Entries:**\n\n` +
+                            histories.map((history, index) => {
+                                const timestamp = new Date(history.timestamp).toLocaleString();
+                                const editor = history.editor ? history.editor.name : 'Unknown';
+                                
+                                return `**${index + 1}. Version ${history.id}**\n` +
+                                    `• **Timestamp:** ${timestamp}\n` +
+                                    `• **Editor:** ${editor}\n` +
+                                    `• **Workspace:** ${history.workspaceId}`;
+                            }).join('\n\n---\n\n'),
                     },
                 ],
             };
-        } else {
-            // Search across all workspaces
-            const workspaces = await this.getWorkspaces();
-            const allResults = [];
+        } catch (error) {
+            this.debugLog(`❌ Failed to get document history:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to get document history: ${error.message}`
+            );
+        }
+    }
 
-            for (const workspace of workspaces) {
-                try {
-                    const gqlQuery = `
-            query($workspaceId: String!, $keyword: String!, $limit: Int!) {
-              workspace(id: $workspaceId) {
-                id
-                searchDocs(input: {keyword: $keyword, limit: $limit}) {
-                  docId
-                  title
-                  highlight
-                  createdAt
-                  updatedAt
-                }
-              }
-            }
-          `;
+    /**
+     * Load a doc as it was at a history snapshot
+     */
+    async loadDocVersion(workspaceId, docId, timestamp) {
+        this.debugLog(`📥 Fetching snapshot ${timestamp} of document ${docId} in workspace ${workspaceId}`);
 
-                    const data = await this.makeGraphQLRequest(gqlQuery, {
-                        workspaceId: workspace.id,
-                        keyword: query,
-                        limit: Math.ceil(limit / workspaces.length)
-                    });
+        const response = await this.makeRestRequest(
+            `/api/workspaces/${encodeURIComponent(workspaceId)}/docs/${encodeURIComponent(docId)}/histories/${encodeURIComponent(new Date(timestamp).toISOString())}`
+        );
+        const update = new Uint8Array(await response.arrayBuffer());
+        const ydoc = new Y.Doc({ guid: docId });
+        if (update.length > 0) {
+            Y.applyUpdate(ydoc, update);
+        }
+        return ydoc;
+    }
 
-                    if (data.workspace.searchDocs.length > 0) {
-                        allResults.push({
-                            workspaceId: data.workspace.id,
-                            docs: data.workspace.searchDocs,
-                        });
-                    }
-                } catch (error) {
-                    // Skip workspaces that can't be searched
-                    this.debugLog(`⚠️ Skipping workspace ${workspace.id} due to error:`, error.message);
-                    continue;
+    /**
+     * List the blocks of a tree in document order
+     */
+    flattenBlocks(block, blocks = []) {
+        blocks.push(block);
+        for (const child of block.children) {
+            this.flattenBlocks(child, blocks);
+        }
+        return blocks;
+    }
+
+    async diffDocumentVersions(docId, workspaceId, fromTimestamp, toTimestamp = null, mode = 'unified') {
+        this.debugLog(`🔀 Diffing document ${docId} between ${fromTimestamp} and ${toTimestamp || 'current'}`);
+
+        try {
+            const fromLabel = new Date(fromTimestamp).toLocaleString();
+            const toLabel = toTimestamp ? new Date(toTimestamp).toLocaleString() : 'current';
+            const [fromDoc, toDoc] = await Promise.all([
+                this.loadDocVersion(workspaceId, docId, fromTimestamp),
+                toTimestamp ? this.loadDocVersion(workspaceId, docId, toTimestamp) : this.loadDoc(workspaceId, docId),
+            ]);
+            const fromRoot = this.getBlockTree(fromDoc);
+            const toRoot = this.getBlockTree(toDoc);
+            const header = `🔀 **Changes in document ${docId}**\n\n` +
+                `**From:** ${fromLabel}\n` +
+                `**To:** ${toLabel}\n\n`;
+
+            if (mode === 'blocks') {
+                // Compare each block's own content, ignoring its children
+                const describe = block => ({
+                    flavour: block.flavour,
+                    content: JSON.stringify({ props: block.props, text: block.text }),
+                    preview: this.renderBlocksAsText({ ...block, children: [] }).trim().slice(0, 120),
+                });
+                const structural = ['affine:page', 'affine:surface', 'affine:note'];
+                const index = root => new Map((root ? this.flattenBlocks(root) : [])
+                    .filter(block => !structural.includes(block.flavour))
+                    .map(block => [block.id, describe(block)]));
+                const before = index(fromRoot);
+                const after = index(toRoot);
+
+                const added = [...after].filter(([id]) => !before.has(id));
+                const removed = [...before].filter(([id]) => !after.has(id));
+                const modified = [...after].filter(([id, block]) => before.has(id) && before.get(id).content !== block.content);
+                const format = (id, block) => `• \`${id}\` (${block.flavour})${block.preview ? `: ${block.preview}` : ''}`;
+
+                if (added.length + removed.length + modified.length === 0 && fromRoot?.props.title === toRoot?.props.title) {
+                    return {
+                        content: [{ type: 'text', text: header + 'No block changes.' }],
+                    };
                 }
-            }
 
-            if (allResults.length === 0) {
                 return {
                     content: [
                         {
                             type: 'text',
-                            text: `No documents found matching "${query}" across your workspaces.`,
+                            text: header +
+                                (fromRoot?.props.title !== toRoot?.props.title
+                                    ? `**Title:** "${fromRoot?.props.title || ''}" → "${toRoot?.props.title || ''}"\n\n`
+                                    : '') +
+                                `**Added (${added.length}):**\n${added.map(([id, block]) => format(id, block)).join('\n') || 'None'}\n\n` +
+                                `**Removed (${removed.length}):**\n${removed.map(([id, block]) => format(id, block)).join('\n') || 'None'}\n\n` +
+                                `**Modified (${modified.length}):**\n` +
+                                (modified.map(([id, block]) => `${format(id, block)}\n  was: ${before.get(id).preview}`).join('\n') || 'None'),
                         },
                     ],
                 };
             }
 
+            const fromMarkdown = fromRoot ? this.renderBlocksAsMarkdown(fromRoot, workspaceId) : '';
+            const toMarkdown = toRoot ? this.renderBlocksAsMarkdown(toRoot, workspaceId) : '';
+            if (fromMarkdown === toMarkdown) {
+                return {
+                    content: [{ type: 'text', text: header + 'No content changes.' }],
+                };
+            }
+
+            const patch = createTwoFilesPatch(fromLabel, toLabel, fromMarkdown + '\n', toMarkdown + '\n');
             return {
                 content: [
                     {
                         type: 'text',
-                        text: `Search results for "${query}":\n\n` +
-                            allResults.map(result =>
-                                `**Workspace ${result.workspaceId}:**\n` +
-                                result.docs.map(doc => this.formatDocumentResult(doc)).join('\n')
-                            ).join('\n\n'),
+                        text: header + `\`\`\`diff\n${patch}\`\`\``,
                     },
                 ],
             };
+        } catch (error) {
+            this.debugLog(`❌ Failed to diff document versions:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to diff document versions: ${error.message}`
+            );
         }
     }
 
-    async getDocument(docId, workspaceId) {
-        this.debugLog(`📄 Getting document ${docId} with content in workspace ${workspaceId}`);
-        
-        // First get document metadata
-        const metaQuery = `
-            query($workspaceId: String!, $docId: String!) {
-                workspace(id: $workspaceId) {
-                    doc(docId: $docId) {
-                        id
-                        title
-                        createdAt
-                        updatedAt
-                        createdBy {
-                            id
-                            name
-                            avatarUrl
-                        }
-                        lastUpdatedBy {
-                            id
-                            name
-                            avatarUrl
-                        }
-                        mode
-                        public
-                        permissions {
-                            Doc_Read
-                            Doc_Update
-                            Doc_Delete
-                        }
-                    }
-                }
+    /**
+     * Destructive tools must be called with `confirm: true` (or a dedicated flag)
+     */
+    requireConfirmation(confirm, action, flag = 'confirm') {
+        if (confirm !== true) {
+            throw new McpError(
+                ErrorCode.InvalidParams,
+                `Refusing to ${action} without confirmation. Call again with "${flag}": true to proceed.`
+            );
+        }
+    }
+
+    /**
+     * Find a doc's entry in the workspace root doc's page list
+     */
+    findPageMeta(rootDoc, docId) {
+        const pages = rootDoc.getMap('meta').get('pages');
+        if (!(pages instanceof Y.Array)) {
+            return null;
+        }
+        return pages.toArray().find(page => page instanceof Y.Map && page.get('id') === docId) || null;
+    }
+
+    async restoreDocumentVersion(docId, workspaceId, timestamp, confirm) {
+        this.requireConfirmation(confirm, `restore document ${docId} to ${timestamp}`);
+        this.debugLog(`⏪ Restoring document ${docId} in workspace ${workspaceId} to ${timestamp}`);
+
+        const mutation = `
+            mutation($workspaceId: String!, $guid: String!, $timestamp: DateTime!) {
+                recoverDoc(workspaceId: $workspaceId, guid: $guid, timestamp: $timestamp)
             }
         `;
 
-        const metaData = await this.makeGraphQLRequest(metaQuery, { workspaceId, docId });
-        const doc = metaData.workspace.doc;
+        try {
+            const data = await this.makeGraphQLRequest(mutation, {
+                workspaceId,
+                guid: docId,
+                timestamp
+            });
 
-        if (!doc) {
             return {
                 content: [
                     {
                         type: 'text',
-                        text: `❌ Document not found\n\nDocument ID: ${docId}\nWorkspace ID: ${workspaceId}`,
+                        text: `⏪ **Document restored successfully**\n\n` +
+                            `**Document ID:** ${docId}\n` +
+                            `**Workspace ID:** ${workspaceId}\n` +
+                            `**Restored Version:** ${new Date(timestamp).toLocaleString()}\n` +
+                            `**Recovered At:** ${new Date(data.recoverDoc).toLocaleString()}\n\n` +
+                            `The document content has been replaced with the selected version.`,
                     },
                 ],
             };
+        } catch (error) {
+            this.debugLog(`❌ Failed to restore document version:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to restore document version: ${error.message}`
+            );
         }
+    }
 
-        // Now get document content using search API
-        const contentQuery = `
-            query($workspaceId: String!, $input: SearchInput!) {
-                workspace(id: $workspaceId) {
-                    search(input: $input) {
-                        nodes {
-                            fields
-                            highlights
-                        }
-                        pagination {
-                            count
-                            hasMore
-                        }
-                    }
-                }
+    /**
+     * Move a doc into or out of the trash by flagging its root doc page meta
+     */
+    async setDocumentTrashed(docId, workspaceId, trashed) {
+        const edit = await this.prepareDocEdit(workspaceId, workspaceId, (rootDoc) => {
+            const page = this.findPageMeta(rootDoc, docId);
+            if (!page) {
+                throw new Error(`Document ${docId} not found in workspace page list`);
             }
-        `;
-
-        // Based on testing, AFFiNE's GraphQL API does not expose document content
-        // The search API only returns titles, not actual content
-        const docContent = `❌ Document content is not available through AFFiNE's GraphQL API.
-
-The search API only provides document titles, not content. AFFiNE likely uses:
-• WebSocket connections for real-time document editing
-• REST APIs for content access 
-• Binary protocols for performance
+            if (!!page.get('trash') === trashed) {
+                return false;
+            }
+            page.set('trash', trashed);
+            if (trashed) {
+                page.set('trashDate', Date.now());
+            } else {
+                page.delete('trashDate');
+            }
+            return true;
+        });
 
-To access document content, you would need:
-• Direct access to AFFiNE's web interface
-• Alternative APIs (if available)
-• Export functionality (if implemented)
+        if (edit.result) {
+            await this.pushDocUpdates(workspaceId, [edit]);
+        }
+        return edit.result;
+    }
 
-Available through this MCP server:
-• Document metadata (shown above)
-• Comments via 'get_comments'
-• Version history via 'get_document_history'  
-• Search snippets via 'search_documents'`;
+    async trashDocument(docId, workspaceId, confirm) {
+        this.requireConfirmation(confirm, `move document ${docId} to trash`);
+        this.debugLog(`🗑️ Moving document ${docId} in workspace ${workspaceId} to trash`);
 
-        // Handle title display
-        const displayTitle = doc.title || `Document ${doc.id.substring(0, 8)}`;
+        try {
+            const changed = await this.setDocumentTrashed(docId, workspaceId, true);
 
-        return {
-            content: [
-                {
-                    type: 'text',
-                    text: `📄 ${displayTitle}\n\n` +
-                        `ID: ${doc.id}\n` +
-                        `Mode: ${doc.mode}\n` +
-                        `Public: ${doc.public ? 'Yes' : 'No'}\n` +
-                        `Created: ${new Date(doc.createdAt).toLocaleString()}\n` +
-                        `Updated: ${new Date(doc.updatedAt).toLocaleString()}\n` +
-                        `Created by: ${doc.createdBy?.name || 'Unknown'}\n` +
-                        `Last updated by: ${doc.lastUpdatedBy?.name || 'Unknown'}\n` +
-                        `Permissions: Read: ${doc.permissions?.Doc_Read ? '✅' : '❌'}, Update: ${doc.permissions?.Doc_Update ? '✅' : '❌'}, Delete: ${doc.permissions?.Doc_Delete ? '✅' : '❌'}\n` +
-                        `Title set: ${doc.title ? 'Yes' : 'No (common in AFFiNE)'}\n\n` +
-                        `--- DOCUMENT CONTENT ---\n\n${docContent}`,
-                },
-            ],
-        };
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `🗑️ **${changed ? 'Document moved to trash' : 'Document was already in trash'}**\n\n` +
+                            `**Document ID:** ${docId}\n` +
+                            `**Workspace ID:** ${workspaceId}\n\n` +
+                            `The document can be recovered with 'restore_document'.`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to move document to trash:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to move document to trash: ${error.message}`
+            );
+        }
     }
 
-    async listWorkspaces() {
-        const workspaces = await this.getWorkspaces();
+    async restoreDocument(docId, workspaceId) {
+        this.debugLog(`♻️ Restoring document ${docId} in workspace ${workspaceId} from trash`);
 
-        return {
-            content: [
-                {
-                    type: 'text',
-                    text: `**Available Workspaces:**\n\n${workspaces.map(ws => this.formatWorkspaceDisplay(ws)).join('\n\n')}`,
-                },
-            ],
-        };
-    }
+        try {
+            const changed = await this.setDocumentTrashed(docId, workspaceId, false);
 
-    async getWorkspaceInfo(workspaceId) {
-        const query = `
-      query($workspaceId: String!) {
-        workspace(id: $workspaceId) {
-          id
-          public
-          createdAt
-          memberCount
-          quota {
-            name
-            storageQuota
-            usedStorageQuota
-            memberLimit
-            memberCount
-          }
-          owner {
-            name
-            email
-          }
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `♻️ **${changed ? 'Document restored from trash' : 'Document was not in trash'}**\n\n` +
+                            `**Document ID:** ${docId}\n` +
+                            `**Workspace ID:** ${workspaceId}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            this.debugLog(`❌ Failed to restore document from trash:`, error);
+            throw new McpError(
+                ErrorCode.InternalError,
+                `Failed to restore document from trash: ${error.message}`
+            );
         }
-      }
-    `;
-
-        const data = await this.makeGraphQLRequest(query, { workspaceId });
-        const workspace = data.workspace;
-
-        return {
-            content: [
-                {
-                    type: 'text',
-                    text: `**Workspace**\n\n` +
-                        `**ID:** ${workspace.id}\n` +
-                        `**Public:** ${workspace.public ? 'Yes' : 'No'}\n` +
-                        `**Created:** ${new Date(workspace.createdAt).toLocaleString()}\n` +
-                        `**Owner:** ${workspace.owner.name} (${workspace.owner.email})\n` +
-                        `**Members:** ${workspace.memberCount}\n\n` +
-                        `**Quota Information:**\n` +
-                        `• Plan: ${workspace.quota.name}\n` +
-                        `• Storage: ${workspace.quota.usedStorageQuota} / ${workspace.quota.storageQuota}\n` +
-                        `• Members: ${workspace.quota.memberCount} / ${workspace.quota.memberLimit}`,
-                },
-            ],
-        };
     }
 
-    async publishDocument(docId, workspaceId, mode = 'Page') {
-        this.debugLog(`📝 Publishing document ${docId} in workspace ${workspaceId} with mode ${mode}`);
+    async listBlobs(workspaceId) {
+        this.debugLog(`📁 Listing blobs in workspace ${workspaceId}`);
         
-        const mutation = `
-            mutation($docId: String!, $workspaceId: String!, $mode: PublicDocMode!) {
-                publishDoc(docId: $docId, workspaceId: $workspaceId, mode: $mode) {
-                    id
-                    title
-                    public
-                    mode
-                    permissions {
-                        Doc_Read
-                        Doc_Update
+        const query = `
+            query($workspaceId: String!) {
+                workspace(id: $workspaceId) {
+                    blobs {
+                        key
+                        mime
+                        size
+                        createdAt
                     }
+                    blobsSize
                 }
             }
         `;
 
         try {
-            const data = await this.makeGraphQLRequest(mutation, { 
-                docId, 
-                workspaceId, 
-                mode 
-            });
+            const data = await this.makeGraphQLRequest(query, { workspaceId });
             
-            const doc = data.publishDoc;
+            const workspace = data.workspace;
+            const blobs = workspace.blobs;
+            
+            if (!blobs || blobs.length === 0) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `📁 **No files found in workspace**\n\nWorkspace ID: ${workspaceId}\nTotal size: ${workspace.blobsSize} bytes`,
+                        },
+                    ],
+                };
+            }
+
             return {
                 content: [
                     {
                         type: 'text',
-                        text: `✅ **Document "${doc.title}" published successfully**\n\n` +
-                            `**Document ID:** ${doc.id}\n` +
-                            `**Mode:** ${doc.mode}\n` +
-                            `**Public:** ${doc.public ? 'Yes' : 'No'}\n` +
-                            `**Permissions:** Read: ${doc.permissions.Doc_Read ? 'Yes' : 'No'}, Update: ${doc.permissions.Doc_Update ? 'Yes' : 'No'}\n\n` +
-                            `The document is now publicly accessible.`,
+                        text: `📁 **Files in Workspace (${blobs.length} files)**\n\n` +
+                            `**Workspace ID:** ${workspaceId}\n` +
+                            `**Total Size:** ${this.formatFileSize(workspace.blobsSize)}\n\n` +
+                            `**Files:**\n\n` +
+                            blobs.map((blob, index) => {
+                                const createdDate = new Date(blob.createdAt).toLocaleString();
+                                const fileSize = this.formatFileSize(blob.size);
+                                
+                                return `**${index + 1}. ${blob.key}**\n` +
+                                    `• **Type:** ${blob.mime}\n` +
+                                    `• **Size:** ${fileSize}\n` +
+                                    `• **Created:** ${createdDate}`;
+                            }).join('\n\n---\n\n'),
                     },
                 ],
             };
         } catch (error) {
-            this.debugLog(`❌ Failed to publish document:`, error);
+            this.debugLog(`❌ Failed to list blobs:`, error);
             throw new McpError(
                 ErrorCode.InternalError,
-                `Failed to publish document: ${error.message}`
+                `Failed to list blobs: ${error.message}`
             );
         }
     }
 
-    async unpublishDocument(docId, workspaceId) {
-        this.debugLog(`🔒 Unpublishing document ${docId} in workspace ${workspaceId}`);
+    async deleteBlob(workspaceId, blobKey, permanently = false) {
+        this.debugLog(`🗑️ Deleting blob ${blobKey} from workspace ${workspaceId} (permanently: ${permanently})`);
         
         const mutation = `
-            mutation($docId: String!, $workspaceId: String!) {
-                revokePublicDoc(docId: $docId, workspaceId: $workspaceId) {
-                    id
-                    title
-                    public
-                    permissions {
-                        Doc_Read
-                        Doc_Update
-                    }
-                }
+            mutation($workspaceId: String!, $key: String, $permanently: Boolean!) {
+                deleteBlob(workspaceId: $workspaceId, key: $key, permanently: $permanently)
             }
         `;
 
         try {
-            const data = await this.makeGraphQLRequest(mutation, { 
-                docId, 
-                workspaceId 
+            const data = await this.makeGraphQLRequest(mutation, {
+                workspaceId,
+                key: blobKey,
+                permanently
             });
             
-            const doc = data.revokePublicDoc;
             return {
                 content: [
                     {
                         type: 'text',
-                        text: `🔒 **Document "${doc.title}" unpublished successfully**\n\n` +
-                            `**Document ID:** ${doc.id}\n` +
-                            `**Public:** ${doc.public ? 'Yes' : 'No'}\n` +
-                            `**Permissions:** Read: ${doc.permissions.Doc_Read ? 'Yes' : 'No'}, Update: ${doc.permissions.Doc_Update ? 'Yes' : 'No'}\n\n` +
-                            `The document is no longer publicly accessible.`,
+                        text: `🗑️ **File deleted successfully**\n\n` +
+                            `**File Key:** ${blobKey}\n` +
+                            `**Workspace ID:** ${workspaceId}\n` +
+                            `**Permanently Deleted:** ${permanently ? 'Yes' : 'No'}\n\n` +
+                            `${permanently ? 'The file has been permanently removed and cannot be recovered.' : 'The file has been moved to trash and can be recovered.'}`,
                     },
                 ],
             };
         } catch (error) {
-            this.debugLog(`❌ Failed to unpublish document:`, error);
+            this.debugLog(`❌ Failed to delete blob:`, error);
             throw new McpError(
                 ErrorCode.InternalError,
-                `Failed to unpublish document: ${error.message}`
+                `Failed to delete blob: ${error.message}`
             );
         }
     }
 
-    async createComment(docId, workspaceId, content, docMode = 'page', docTitle, mentions = []) {
-        this.debugLog(`💬 Creating comment on document ${docId} in workspace ${workspaceId}`);
-        
-        const mutation = `
-            mutation($input: CommentCreateInput!) {
-                createComment(input: $input) {
-                    id
-                    content
-                    createdAt
-                    resolved
-                    user {
-                        id
-                        name
-                        avatarUrl
+    /**
+     * Find which of the given blob keys a doc refers to anywhere: block props
+     * (images, attachments, covers), links in text, doc meta. Detached blocks
+     * are included so that an analysis errs on the side of keeping a blob.
+     */
+    getReferencedBlobKeys(ydoc, blobKeys) {
+        // toJSON() drops text formatting, where links live, so keep deltas
+        const toPlain = value => {
+            if (value instanceof Y.Text) return value.toDelta();
+            if (value instanceof Y.Map) return Object.fromEntries([...value.entries()].map(([key, item]) => [key, toPlain(item)]));
+            if (value instanceof Y.Array) return value.toArray().map(toPlain);
+            return value;
+        };
+        // Top-level types of a loaded doc stay untyped until read; AFFiNE's are maps
+        const serialized = JSON.stringify([...ydoc.share].map(([name, type]) =>
+            toPlain(type.constructor === Y.AbstractType ? ydoc.getMap(name) : type)
+        ));
+        return new Set(blobKeys.filter(key => serialized.includes(key)));
+    }
+
+    /**
+     * Map blob keys to everything known to use them: docs and the workspace
+     * root doc, comments, AI reference files and AI chat contexts. Returns
+     * the sources that could not be checked alongside.
+     */
+    async collectBlobReferences(workspaceId, blobKeys, structure) {
+        // blob key -> sources referencing it
+        const references = new Map();
+        const unchecked = [];
+        const addReferences = (serialized, source) => {
+            for (const key of blobKeys) {
+                if (!serialized.includes(key)) continue;
+                if (!references.has(key)) references.set(key, []);
+                references.get(key).push(source);
+            }
+        };
+
+        if (structure.avatar) {
+            addReferences(structure.avatar, { id: workspaceId, title: 'Workspace avatar', trash: false });
+        }
+        const rootDoc = await this.loadDoc(workspaceId, workspaceId, true);
+        for (const key of this.getReferencedBlobKeys(rootDoc, blobKeys)) {
+            addReferences(key, { id: workspaceId, title: 'Workspace settings', trash: false });
+        }
+
+        // Scan pages a few at a time, then record references in page order
+        const scans = new Array(structure.pages.length);
+        let next = 0;
+        const scanPages = async () => {
+            while (next < structure.pages.length) {
+                const index = next++;
+                const page = structure.pages[index];
+                const ydoc = await this.loadDoc(workspaceId, page.id, true);
+                const scan = { docKeys: this.getReferencedBlobKeys(ydoc, blobKeys), comments: [], commentsFailed: false, commentsTruncated: false };
+                try {
+                    let cursor = null;
+                    let hasNextPage = true;
+                    for (let pageCount = 0; hasNextPage; pageCount++) {
+                        if (pageCount === BLOB_SCAN_COMMENT_PAGES) {
+                            scan.commentsTruncated = true;
+                            break;
+                        }
+                        const result = await this.fetchCommentChanges(workspaceId, page.id, cursor, 100);
+                        scan.comments.push(...result.changes.map(change => change.item));
+                        hasNextPage = result.hasNextPage && result.changes.length > 0;
+                        cursor = result.endCursor;
                     }
-                    replies {
-                        id
-                        content
-                        createdAt
-                        user {
+                } catch (error) {
+                    this.debugLog(`⚠️ Could not check comments on ${page.id}:`, error);
+                    scan.commentsFailed = true;
+                }
+                scans[index] = scan;
+            }
+        };
+        await Promise.all(Array.from({ length: BLOB_SCAN_CONCURRENCY }, scanPages));
+
+        const truncatedComments = [];
+        structure.pages.forEach((page, index) => {
+            const scan = scans[index];
+            for (const key of scan.docKeys) {
+                addReferences(key, page);
+            }
+            addReferences(JSON.stringify(scan.comments), { ...page, title: `Comments on ${page.title || 'Untitled'}` });
+            if (scan.commentsFailed && !unchecked.includes('comments')) unchecked.push('comments');
+            if (scan.commentsTruncated) truncatedComments.push(page.title || page.id);
+        });
+        if (truncatedComments.length > 0) {
+            unchecked.push(`comments beyond the first ${BLOB_SCAN_COMMENT_PAGES * 100} on ${truncatedComments.join(', ')}`);
+        }
+
+        const embeddingFiles = await this.makeGraphQLRequest(`
+            query($workspaceId: String!) {
+                workspace(id: $workspaceId) {
+                    embedding {
+                        files(pagination: { first: 100 }) {
+                            edges {
+                                node {
+                                    blobId
+                                    fileName
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        `, { workspaceId }).catch(error => {
+            this.debugLog(`⚠️ Could not list AI reference files:`, error);
+            unchecked.push('AI reference files');
+            return null;
+        });
+        for (const { node } of embeddingFiles?.workspace.embedding.files.edges || []) {
+            addReferences(node.blobId, { id: node.blobId, title: `AI reference file ${node.fileName}`, trash: false });
+        }
+
+        const contexts = await this.makeGraphQLRequest(`
+            query($workspaceId: String) {
+                currentUser {
+                    copilot(workspaceId: $workspaceId) {
+                        contexts {
                             id
-                            name
-                            avatarUrl
+                            files {
+                                blobId
+                                name
+                            }
+                            blobs {
+                                id
+                            }
                         }
                     }
                 }
             }
+        `, { workspaceId }).catch(error => {
+            this.debugLog(`⚠️ Could not list AI chat contexts:`, error);
+            unchecked.push('your AI chat attachments');
+            return null;
+        });
+        for (const context of contexts?.currentUser.copilot.contexts || []) {
+            const source = { id: context.id, title: `AI chat context ${context.id}`, trash: false };
+            addReferences(JSON.stringify([context.files, context.blobs]), source);
+        }
+
+        // Nothing lists transcription uploads or other members' AI chats
+        unchecked.push('audio transcription recordings', "other members' AI chat attachments");
+        return { references, unchecked };
+    }
+
+    async analyzeBlobUsage(workspaceId) {
+        this.debugLog(`🧮 Analyzing blob usage in workspace ${workspaceId}`);
+
+        const query = `
+            query($workspaceId: String!) {
+                workspace(id: $workspaceId) {
+                    blobs {
+                        key
+                        mime
+                        size
+                        createdAt
+                    }
+                    blobsSize
+                    quota {
+                        storageQuota
+                        usedStorageQuota
+                    }
+                }
+            }
         `;
 
         try {
-            const data = await this.makeGraphQLRequest(mutation, {
-                input: {
-                    docId,
-                    workspaceId,
-                    content,
-                    docMode,
-                    docTitle,
-                    mentions: mentions || []
-                }
-            });
-            
-            const comment = data.createComment;
+            const [data, structure] = await Promise.all([
+                this.makeGraphQLRequest(query, { workspaceId }),
+                this.loadWorkspaceStructure(workspaceId),
+            ]);
+            const { blobs, blobsSize, quota } = data.workspace;
+
+            const { references, unchecked } = await this.collectBlobReferences(workspaceId, blobs.map(blob => blob.key), structure);
+
+            const sumSize = list => list.reduce((total, blob) => total + (blob.size || 0), 0);
+            const orphaned = blobs.filter(blob => !references.has(blob.key));
+            const trashOnly = blobs.filter(blob => references.get(blob.key)?.every(page => page.trash));
+            const referencedCount = blobs.length - orphaned.length;
+            const reclaimable = sumSize(orphaned);
+            const headroom = quota.storageQuota - quota.usedStorageQuota;
+
+            const formatBlob = blob => `• **${blob.key}** (${blob.mime}, ${this.formatFileSize(blob.size)}, created ${new Date(blob.createdAt).toLocaleString()})`;
+
+            let text = `🧮 **Blob Usage for Workspace ${workspaceId}**\n\n` +
+                `**Documents Scanned:** ${structure.pages.length}\n` +
+                `**Blobs:** ${blobs.length} (${this.formatFileSize(blobsSize)})\n` +
+                `**Referenced:** ${referencedCount}\n` +
+                `**Unreferenced:** ${orphaned.length} (${this.formatFileSize(reclaimable)} potentially reclaimable)\n` +
+                `**Only Referenced by Trashed Docs:** ${trashOnly.length} (${this.formatFileSize(sumSize(trashOnly))})\n\n` +
+                `**Storage Quota:**\n` +
+                `• Used: ${this.formatFileSize(quota.usedStorageQuota)} / ${this.formatFileSize(quota.storageQuota)}\n` +
+                `• Headroom: ${this.formatFileSize(Math.max(headroom, 0))}\n` +
+                `• Headroom If All Unreferenced Blobs Were Removed: ${this.formatFileSize(Math.max(headroom + reclaimable, 0))}`;
+
+            if (orphaned.length > 0) {
+                text += `\n\n**Blobs Not Referenced by Docs, Comments, AI Files or the Workspace (largest first):**\n` +
+                    [...orphaned].sort((a, b) => b.size - a.size).map(formatBlob).join('\n');
+            }
+
+            if (trashOnly.length > 0) {
+                text += `\n\n**Blobs Only Referenced by Trashed Docs:**\n` +
+                    trashOnly.map(blob => `${formatBlob(blob)}\n  ↳ ${references.get(blob.key).map(page => `${page.title || 'Untitled'} (${page.id})`).join(', ')}`).join('\n');
+            }
+
+            if (orphaned.length > 0) {
+                text += `\n\n**Not Checked:** ${unchecked.join(', ')}. Unreferenced blobs may still be used there, so review them before deleting anything.`;
+            }
+
             return {
                 content: [
                     {
                         type: 'text',
-                        text: `💬 **Comment created successfully**\n\n` +
-                            `**Comment ID:** ${comment.id}\n` +
-                            `**Author:** ${comment.user.name}\n` +
-                            `**Created:** ${new Date(comment.createdAt).toLocaleString()}\n` +
-                            `**Resolved:** ${comment.resolved ? 'Yes' : 'No'}\n` +
-                            `**Replies:** ${comment.replies.length}\n\n` +
-                            `**Content:** ${JSON.stringify(comment.content, null, 2)}`,
+                        text,
                     },
                 ],
             };
         } catch (error) {
-            this.debugLog(`❌ Failed to create comment:`, error);
+            this.debugLog(`❌ Failed to analyze blob usage:`, error);
             throw new McpError(
                 ErrorCode.InternalError,
-                `Failed to create comment: ${error.message}`
+                `Failed to analyze blob usage: ${error.message}`
             );
         }
     }
 
-    async getComments(docId, workspaceId, limit = 10) {
-        this.debugLog(`📋 Getting comments for document ${docId} in workspace ${workspaceId}`);
-        
-        const query = `
-            query($workspaceId: String!, $docId: String!, $pagination: PaginationInput) {
-                workspace(id: $workspaceId) {
-                    comments(docId: $docId, pagination: $pagination) {
-                        edges {
-                            node {
-                                id
-                                content
-                                createdAt
-                                updatedAt
-                                resolved
-                                user {
-                                    id
-                                    name
-                                    avatarUrl
-                                }
-                                replies {
-                                    id
-                                    content
-                                    createdAt
-                                    user {
-                                        id
-                                        name
-                                        avatarUrl
-                                    }
-                                }
-                            }
-                        }
-                        totalCount
-                        pageInfo {
-                            hasNextPage
-                            hasPreviousPage
-                        }
-                    }
-                }
+    async releaseDeletedBlobs(workspaceId, confirm) {
+        this.requireConfirmation(confirm, `permanently release deleted blobs in workspace ${workspaceId}`);
+        this.debugLog(`♻️ Releasing deleted blobs in workspace ${workspaceId}`);
+
+        const mutation = `
+            mutation($workspaceId: String!) {
+                releaseDeletedBlobs(workspaceId: $workspaceId)
             }
         `;
 
         try {
-            const data = await this.makeGraphQLRequest(query, {
-                workspaceId,
-                docId,
-                pagination: {
-                    first: limit
-                }
-            });
-            
-            const comments = data.workspace.comments;
-            const commentList = comments.edges.map(edge => edge.node);
-            
-            if (commentList.length === 0) {
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `📋 **No comments found for this document**\n\nDocument ID: ${docId}`,
-                        },
-                    ],
-                };
-            }
+            const data = await this.makeGraphQLRequest(mutation, { workspaceId });
 
             return {
                 content: [
                     {
                         type: 'text',
-                        text: `📋 **Comments for Document (${comments.totalCount} total)**\n\n` +
-                            commentList.map(comment => 
-                                `**Comment ${comment.id}** by ${comment.user.name}\n` +
-                                `Created: ${new Date(comment.createdAt).toLocaleString()}\n` +
-                                `Status: ${comment.resolved ? '✅ Resolved' : '🔄 Open'}\n` +
-                                `Replies: ${comment.replies.length}\n` +
-                                `Content: ${JSON.stringify(comment.content)}\n`
-                            ).join('\n---\n\n'),
+                        text: `♻️ **${data.releaseDeletedBlobs ? 'Deleted blobs released' : 'No deleted blobs were released'}**\n\n` +
+                            `**Workspace ID:** ${workspaceId}` +
+                            (data.releaseDeletedBlobs ? `\n\nBlobs deleted with 'delete_blob' have been permanently removed and no longer count towards the storage quota.` : ''),
                     },
                 ],
             };
         } catch (error) {
-            this.debugLog(`❌ Failed to get comments:`, error);
+            this.debugLog(`❌ Failed to release deleted blobs:`, error);
             throw new McpError(
                 ErrorCode.InternalError,
-                `Failed to get comments: ${error.message}`
+                `Failed to release deleted blobs: ${error.message}`
             );
         }
     }
 
-    async resolveComment(commentId, resolved) {
-        this.debugLog(`${resolved ? '✅' : '🔄'} ${resolved ? 'Resolving' : 'Unresolving'} comment ${commentId}`);
-        
+    /**
+     * Guess a MIME type from a file name
+     */
+    guessMimeType(filename) {
+        const extension = extname(filename || '').toLowerCase().slice(1);
+        return {
+            png: 'image/png',
+            jpg: 'image/jpeg',
+            jpeg: 'image/jpeg',
+            gif: 'image/gif',
+            webp: 'image/webp',
+            svg: 'image/svg+xml',
+            pdf: 'application/pdf',
+            json: 'application/json',
+            txt: 'text/plain',
+            md: 'text/markdown',
+            csv: 'text/csv',
+            html: 'text/html',
+            zip: 'application/zip',
+            mp3: 'audio/mpeg',
+            m4a: 'audio/mp4',
+            wav: 'audio/wav',
+            ogg: 'audio/ogg',
+            opus: 'audio/opus',
+            flac: 'audio/flac',
+            aac: 'audio/aac',
+            webm: 'audio/webm',
+            mp4: 'video/mp4',
+            mov: 'video/quicktime',
+        }[extension] || 'application/octet-stream';
+    }
+
+    /**
+     * Read a file to upload from a local path or base64 data, filling in
+     * the file name and MIME type when not given
+     */
+    async readUploadInput(filePath = null, base64 = null, filename = null, mimeType = null) {
+        if (!filePath && !base64) {
+            throw new Error('Either filePath or base64 must be provided');
+        }
+
+        const data = filePath ? new Uint8Array(await readFile(filePath)) : new Uint8Array(Buffer.from(base64, 'base64'));
+        const name = filename || (filePath ? basename(filePath) : 'upload.bin');
+        return { data, filename: name, mimeType: mimeType || this.guessMimeType(name) };
+    }
+
+    /**
+     * Upload bytes as a workspace blob and return the blob key
+     */
+    async setBlob(workspaceId, data, filename, mimeType) {
         const mutation = `
-            mutation($input: CommentResolveInput!) {
-                resolveComment(input: $input)
+            mutation($workspaceId: String!, $blob: Upload!) {
+                setBlob(workspaceId: $workspaceId, blob: $blob)
             }
         `;
 
+        const result = await this.makeGraphQLRequest(
+            mutation,
+            { workspaceId, blob: null },
+            { 'variables.blob': { data, filename, mimeType } }
+        );
+        return result.setBlob;
+    }
+
+    async uploadBlob(workspaceId, filePath = null, base64 = null, filename = null, mimeType = null) {
+        this.debugLog(`📤 Uploading blob to workspace ${workspaceId}`, { filePath, filename, mimeType });
+
         try {
-            const data = await this.makeGraphQLRequest(mutation, {
-                input: {
-                    id: commentId,
-                    resolved
-                }
-            });
-            
+            const { data, filename: name, mimeType: type } = await this.readUploadInput(filePath, base64, filename, mimeType);
+            const key = await this.setBlob(workspaceId, data, name, type);
+            const url = this.getBlobUrl(workspaceId, key);
+
             return {
                 content: [
                     {
                         type: 'text',
-                        text: `${resolved ? '✅' : '🔄'} **Comment ${resolved ? 'resolved' : 'unresolved'} successfully**\n\n` +
-                            `**Comment ID:** ${commentId}\n` +
-                            `**Status:** ${resolved ? 'Resolved' : 'Open'}`,
+                        text: `📤 **File uploaded successfully**\n\n` +
+                            `**Blob Key:** ${key}\n` +
+                            `**Name:** ${name}\n` +
+                            `**Type:** ${type}\n` +
+                            `**Size:** ${this.formatFileSize(data.length)}\n` +
+                            `**URL:** ${url}\n\n` +
+                            `Embed it in a document with Markdown: ${type.startsWith('image/') ? `![${name}](${url})` : `[${name}](${url})`}`,
                     },
                 ],
             };
         } catch (error) {
-            this.debugLog(`❌ Failed to ${resolved ? 'resolve' : 'unresolve'} comment:`, error);
+            this.debugLog(`❌ Failed to upload blob:`, error);
             throw new McpError(
                 ErrorCode.InternalError,
-                `Failed to ${resolved ? 'resolve' : 'unresolve'} comment: ${error.message}`
+                `Failed to upload blob: ${error.message}`
             );
         }
     }
 
-    async deleteComment(commentId) {
-        this.debugLog(`🗑️ Deleting comment ${commentId}`);
-        
-        const mutation = `
-            mutation($id: String!) {
-                deleteComment(id: $id)
-            }
-        `;
+    async getBlob(workspaceId, blobKey, savePath = null) {
+        this.debugLog(`📥 Downloading blob ${blobKey} from workspace ${workspaceId}`);
 
         try {
-            const data = await this.makeGraphQLRequest(mutation, {
-                id: commentId
-            });
-            
+            const response = await this.makeRestRequest(
+                `/api/workspaces/${encodeURIComponent(workspaceId)}/blobs/${encodeURIComponent(blobKey)}`
+            );
+            const data = Buffer.from(await response.arrayBuffer());
+            const mimeType = (response.headers.get('content-type') || 'application/octet-stream').split(';')[0];
+
+            if (savePath) {
+                await writeFile(savePath, data);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `📥 **File downloaded successfully**\n\n` +
+                                `**Blob Key:** ${blobKey}\n` +
+                                `**Type:** ${mimeType}\n` +
+                                `**Size:** ${this.formatFileSize(data.length)}\n` +
+                                `**Saved To:** ${savePath}`,
+                        },
+                    ],
+                };
+            }
+
+            const isText = mimeType.startsWith('text/') || ['application/json', 'image/svg+xml'].includes(mimeType);
             return {
                 content: [
                     {
-                        type: 'text',
-                        text: `🗑️ **Comment deleted successfully**\n\n` +
-                            `**Comment ID:** ${commentId}\n` +
-                            `The comment has been permanently removed.`,
+                        type: 'resource',
+                        resource: {
+                            uri: `affine://workspace/${workspaceId}/blobs/${blobKey}`,
+                            mimeType,
+                            ...(isText ? { text: data.toString('utf8') } : { blob: data.toString('base64') }),
+                        },
                     },
                 ],
             };
         } catch (error) {
-            this.debugLog(`❌ Failed to delete comment:`, error);
+            this.debugLog(`❌ Failed to download blob:`, error);
             throw new McpError(
                 ErrorCode.InternalError,
-                `Failed to delete comment: ${error.message}`
+                `Failed to download blob: ${error.message}`
             );
         }
     }
 
-    async advancedSearch(workspaceId, query, table = 'doc', fields = ['title', 'content', 'id'], limit = 10, highlights = []) {
-        this.debugLog(`🔍 Performing advanced search in workspace ${workspaceId}`, { query, table, fields, limit });
-        
-        const searchQuery = `
-            query($workspaceId: String!, $input: SearchInput!) {
-                workspace(id: $workspaceId) {
-                    search(input: $input) {
-                        nodes {
-                            fields
-                            highlights
-                        }
-                        pagination {
-                            count
-                            hasMore
-                            nextCursor
-                        }
-                    }
-                }
-            }
-        `;
+    formatFileSize(bytes) {
+        if (bytes === 0) return '0 B';
+        const k = 1024;
+        const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    }
 
-        try {
-            const searchInput = {
-                query,
-                table,
-                options: {
-                    fields,
-                    pagination: {
-                        limit
-                    }
-                }
-            };
+    /**
+     * Read the workspace organization data: page metas and tags from the
+     * root doc, collections from its settings and, optionally, folders
+     */
+    async loadWorkspaceStructure(workspaceId, includeFolders = false) {
+        const [rootDoc, foldersDoc] = await Promise.all([
+            this.loadDoc(workspaceId, workspaceId),
+            includeFolders ? this.loadDoc(workspaceId, this.getWorkspaceDbDocId('folders'), true) : null,
+        ]);
 
-            // Add highlights if provided
-            if (highlights && highlights.length > 0) {
-                searchInput.options.highlights = highlights;
+        const meta = rootDoc.getMap('meta');
+        const pages = meta.get('pages');
+        const properties = meta.get('properties');
+        const collections = rootDoc.getMap('setting').get('collections');
+
+        return {
+            pages: pages instanceof Y.Array ? pages.toArray().map(page => page.toJSON()) : [],
+            tags: (properties instanceof Y.AbstractType ? properties.toJSON() : properties)?.tags?.options || [],
+            collections: collections instanceof Y.Array ? collections.toJSON() : [],
+            folders: foldersDoc ? this.getDbRows(foldersDoc) : [],
+            avatar: meta.get('avatar') || null,
+        };
+    }
+
+    /**
+     * Resolve a tag by ID or (case-insensitive) name
+     */
+    findTag(tags, tag) {
+        return tags.find(option => option.id === tag) ||
+            tags.find(option => option.value?.toLowerCase() === String(tag).toLowerCase()) ||
+            null;
+    }
+
+    /**
+     * Sort workspace DB rows by their fractional index
+     */
+    sortByIndex(rows) {
+        return [...rows].sort((a, b) => (a.index < b.index ? -1 : a.index > b.index ? 1 : 0));
+    }
+
+    /**
+     * Describe a folder tree node (folder, doc, tag or collection link)
+     */
+    describeFolderNode(node, structure) {
+        switch (node.type) {
+            case 'folder':
+                return `📁 ${node.data || 'Untitled folder'} (${node.id})`;
+            case 'doc': {
+                const page = structure.pages.find(entry => entry.id === node.data);
+                return `📄 ${page?.title || 'Untitled'} (${node.data})${page?.trash ? ' [in trash]' : ''}`;
             }
+            case 'tag':
+                return `🏷️ ${structure.tags.find(tag => tag.id === node.data)?.value || node.data} (tag ${node.data})`;
+            case 'collection':
+                return `📚 ${structure.collections.find(collection => collection.id === node.data)?.name || node.data} (collection ${node.data})`;
+            default:
+                return `• ${node.type}: ${node.data}`;
+        }
+    }
 
-            const data = await this.makeGraphQLRequest(searchQuery, {
-                workspaceId,
-                input: searchInput
-            });
-            
-            const searchResults = data.workspace.search;
-            const results = searchResults.nodes;
-            
-            if (results.length === 0) {
+    async listFolders(workspaceId, parentId = null) {
+        this.debugLog(`📁 Listing folders in workspace ${workspaceId}${parentId ? ` under ${parentId}` : ''}`);
+
+        try {
+            const structure = await this.loadWorkspaceStructure(workspaceId, true);
+            const folders = this.sortByIndex(structure.folders.filter(row =>
+                row.type === 'folder' && (parentId ? row.parentId === parentId : true)
+            ));
+
+            if (folders.length === 0) {
                 return {
                     content: [
                         {
                             type: 'text',
-                            text: `🔍 **No results found**\n\nQuery: ${JSON.stringify(query, null, 2)}\nTable: ${table}\nFields: ${fields.join(', ')}`,
+                            text: `📁 **No folders found**\n\nWorkspace ID: ${workspaceId}`,
                         },
                     ],
                 };
@@ -1462,147 +9326,83 @@ Available through this MCP server:
                 content: [
                     {
                         type: 'text',
-                        text: `🔍 **Advanced Search Results (${searchResults.pagination.count} found)**\n\n` +
-                            `**Query:** ${JSON.stringify(query, null, 2)}\n` +
-                            `**Table:** ${table}\n` +
-                            `**Fields:** ${fields.join(', ')}\n\n` +
-                            `**Results:**\n\n` +
-                            results.map((result, index) => {
-                                let resultText = `**Result ${index + 1}:**\n`;
-                                
-                                // Display fields
-                                if (result.fields) {
-                                    Object.entries(result.fields).forEach(([key, value]) => {
-                                        resultText += `• **${key}:** ${value}\n`;
-                                    });
-                                }
-                                
-                                // Display highlights if available
-                                if (result.highlights && Object.keys(result.highlights).length > 0) {
-                                    resultText += `• **Highlights:**\n`;
-                                    Object.entries(result.highlights).forEach(([key, value]) => {
-                                        resultText += `  - ${key}: ${value}\n`;
-                                    });
-                                }
-                                
-                                return resultText;
-                            }).join('\n---\n\n') +
-                            `\n**Pagination:** ${searchResults.pagination.hasMore ? 'More results available' : 'All results shown'}`,
+                        text: `📁 **Folders (${folders.length})**\n\n` +
+                            folders.map((folder, index) => {
+                                const children = structure.folders.filter(row => row.parentId === folder.id);
+                                const parent = structure.folders.find(row => row.id === folder.parentId);
+                                return `${index + 1}. ${folder.data || 'Untitled folder'}\n` +
+                                    `   • ID: ${folder.id}\n` +
+                                    `   • Parent: ${parent ? `${parent.data} (${parent.id})` : 'Root'}\n` +
+                                    `   • Subfolders: ${children.filter(row => row.type === 'folder').length}\n` +
+                                    `   • Documents: ${children.filter(row => row.type === 'doc').length}`;
+                            }).join('\n\n'),
                     },
                 ],
             };
         } catch (error) {
-            this.debugLog(`❌ Advanced search failed:`, error);
+            this.debugLog(`❌ Failed to list folders:`, error);
             throw new McpError(
                 ErrorCode.InternalError,
-                `Advanced search failed: ${error.message}`
+                `Failed to list folders: ${error.message}`
             );
         }
     }
 
-    async getDocumentHistory(docId, workspaceId, before = null, limit = 10) {
-        this.debugLog(`📜 Getting document history for ${docId} in workspace ${workspaceId}`);
-        
-        const query = `
-            query($workspaceId: String!, $guid: String!, $before: DateTime, $take: Int) {
-                workspace(id: $workspaceId) {
-                    histories(guid: $guid, before: $before, take: $take) {
-                        id
-                        timestamp
-                        editor {
-                            name
-                            avatarUrl
-                        }
-                        workspaceId
-                    }
-                }
-            }
-        `;
+    async getFolderTree(workspaceId, folderId = null) {
+        this.debugLog(`🌳 Getting folder tree for workspace ${workspaceId}${folderId ? ` from ${folderId}` : ''}`);
 
         try {
-            const variables = {
-                workspaceId,
-                guid: docId,
-                take: limit
-            };
+            const structure = await this.loadWorkspaceStructure(workspaceId, true);
 
-            if (before) {
-                variables.before = before;
+            if (folderId && !structure.folders.some(row => row.id === folderId && row.type === 'folder')) {
+                throw new Error(`Folder ${folderId} not found`);
             }
 
-            const data = await this.makeGraphQLRequest(query, variables);
-            
-            const histories = data.workspace.histories;
-            
-            if (!histories || histories.length === 0) {
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `📜 **No history found for document**\n\nDocument ID: ${docId}\nWorkspace ID: ${workspaceId}`,
-                        },
-                    ],
-                };
-            }
+            const render = (parentId, depth, seen) => this.sortByIndex(
+                structure.folders.filter(row => (row.parentId || null) === parentId && !seen.has(row.id))
+            ).map(node => {
+                seen.add(node.id);
+                const line = '  '.repeat(depth) + this.describeFolderNode(node, structure);
+                const children = node.type === 'folder' ? render(node.id, depth + 1, seen) : [];
+                return [line, ...children].join('\n');
+            });
+
+            const lines = render(folderId, folderId ? 1 : 0, new Set());
+            const heading = folderId
+                ? this.describeFolderNode(structure.folders.find(row => row.id === folderId), structure)
+                : `Workspace ${workspaceId}`;
 
             return {
                 content: [
                     {
                         type: 'text',
-                        text: `📜 **Document History (${histories.length} entries)**\n\n` +
-                            `**Document ID:** ${docId}\n` +
-                            `**Workspace ID:** ${workspaceId}\n\n` +
-                            `**History Entries:**\n\n` +
-                            histories.map((history, index) => {
-                                const timestamp = new Date(history.timestamp).toLocaleString();
-                                const editor = history.editor ? history.editor.name : 'Unknown';
-                                
-                                return `**${index + 1}. Version ${history.id}**\n` +
-                                    `• **Timestamp:** ${timestamp}\n` +
-                                    `• **Editor:** ${editor}\n` +
-                                    `• **Workspace:** ${history.workspaceId}`;
-                            }).join('\n\n---\n\n'),
+                        text: `🌳 **Folder Tree**\n\n${heading}\n` +
+                            (lines.length > 0 ? lines.join('\n') : '  (empty)'),
                     },
                 ],
             };
         } catch (error) {
-            this.debugLog(`❌ Failed to get document history:`, error);
+            this.debugLog(`❌ Failed to get folder tree:`, error);
             throw new McpError(
                 ErrorCode.InternalError,
-                `Failed to get document history: ${error.message}`
+                `Failed to get folder tree: ${error.message}`
             );
         }
     }
 
-    async listBlobs(workspaceId) {
-        this.debugLog(`📁 Listing blobs in workspace ${workspaceId}`);
-        
-        const query = `
-            query($workspaceId: String!) {
-                workspace(id: $workspaceId) {
-                    blobs {
-                        key
-                        mime
-                        size
-                        createdAt
-                    }
-                    blobsSize
-                }
-            }
-        `;
+    async listTags(workspaceId) {
+        this.debugLog(`🏷️ Listing tags in workspace ${workspaceId}`);
 
         try {
-            const data = await this.makeGraphQLRequest(query, { workspaceId });
-            
-            const workspace = data.workspace;
-            const blobs = workspace.blobs;
-            
-            if (!blobs || blobs.length === 0) {
+            const structure = await this.loadWorkspaceStructure(workspaceId);
+            const livePages = structure.pages.filter(page => !page.trash);
+
+            if (structure.tags.length === 0) {
                 return {
                     content: [
                         {
                             type: 'text',
-                            text: `📁 **No files found in workspace**\n\nWorkspace ID: ${workspaceId}\nTotal size: ${workspace.blobsSize} bytes`,
+                            text: `🏷️ **No tags found**\n\nWorkspace ID: ${workspaceId}`,
                         },
                     ],
                 };
@@ -1612,78 +9412,111 @@ Available through this MCP server:
                 content: [
                     {
                         type: 'text',
-                        text: `📁 **Files in Workspace (${blobs.length} files)**\n\n` +
-                            `**Workspace ID:** ${workspaceId}\n` +
-                            `**Total Size:** ${this.formatFileSize(workspace.blobsSize)}\n\n` +
-                            `**Files:**\n\n` +
-                            blobs.map((blob, index) => {
-                                const createdDate = new Date(blob.createdAt).toLocaleString();
-                                const fileSize = this.formatFileSize(blob.size);
-                                
-                                return `**${index + 1}. ${blob.key}**\n` +
-                                    `• **Type:** ${blob.mime}\n` +
-                                    `• **Size:** ${fileSize}\n` +
-                                    `• **Created:** ${createdDate}`;
-                            }).join('\n\n---\n\n'),
+                        text: `🏷️ **Tags (${structure.tags.length})**\n\n` +
+                            structure.tags.map((tag, index) => {
+                                const count = livePages.filter(page => page.tags?.includes(tag.id)).length;
+                                return `${index + 1}. ${tag.value}\n` +
+                                    `   • ID: ${tag.id}\n` +
+                                    `   • Color: ${tag.color || 'None'}\n` +
+                                    `   • Documents: ${count}`;
+                            }).join('\n\n'),
                     },
                 ],
             };
         } catch (error) {
-            this.debugLog(`❌ Failed to list blobs:`, error);
+            this.debugLog(`❌ Failed to list tags:`, error);
             throw new McpError(
                 ErrorCode.InternalError,
-                `Failed to list blobs: ${error.message}`
+                `Failed to list tags: ${error.message}`
             );
         }
     }
 
-    async deleteBlob(workspaceId, blobKey, permanently = false) {
-        this.debugLog(`🗑️ Deleting blob ${blobKey} from workspace ${workspaceId} (permanently: ${permanently})`);
-        
-        const mutation = `
-            mutation($workspaceId: String!, $key: String, $permanently: Boolean!) {
-                deleteBlob(workspaceId: $workspaceId, key: $key, permanently: $permanently)
+    async listDocumentsByTag(workspaceId, tag, limit = 50, cursor = null) {
+        return this.listDocuments(workspaceId, limit, cursor, null, tag);
+    }
+
+    /**
+     * List documents matching folder/tag filters from the root doc's page
+     * metadata. The cursor is an offset into the filtered list.
+     */
+    async listFilteredDocuments(workspaceId, limit, cursor, folderId, tag) {
+        const structure = await this.loadWorkspaceStructure(workspaceId, !!folderId);
+        let pages = structure.pages.filter(page => !page.trash);
+        const filters = [];
+
+        if (folderId) {
+            const folder = structure.folders.find(row => row.id === folderId && row.type === 'folder');
+            if (!folder) {
+                throw new Error(`Folder ${folderId} not found`);
             }
-        `;
+            const docIds = this.sortByIndex(structure.folders.filter(row => row.parentId === folderId && row.type === 'doc'))
+                .map(row => row.data);
+            pages = docIds.map(docId => pages.find(page => page.id === docId)).filter(Boolean);
+            filters.push(`Folder: ${folder.data} (${folderId})`);
+        }
 
-        try {
-            const data = await this.makeGraphQLRequest(mutation, {
-                workspaceId,
-                key: blobKey,
-                permanently
-            });
-            
+        if (tag) {
+            const match = this.findTag(structure.tags, tag);
+            if (!match) {
+                throw new Error(`Tag "${tag}" not found`);
+            }
+            pages = pages.filter(page => page.tags?.includes(match.id));
+            filters.push(`Tag: ${match.value} (${match.id})`);
+        }
+
+        const offset = Number(cursor) || 0;
+        const slice = pages.slice(offset, offset + limit);
+        const hasMore = offset + limit < pages.length;
+
+        if (slice.length === 0) {
             return {
                 content: [
                     {
                         type: 'text',
-                        text: `🗑️ **File deleted successfully**\n\n` +
-                            `**File Key:** ${blobKey}\n` +
-                            `**Workspace ID:** ${workspaceId}\n` +
-                            `**Permanently Deleted:** ${permanently ? 'Yes' : 'No'}\n\n` +
-                            `${permanently ? 'The file has been permanently removed and cannot be recovered.' : 'The file has been moved to trash and can be recovered.'}`,
+                        text: `📄 **No documents found**\n\nWorkspace ID: ${workspaceId}\n${filters.join('\n')}`,
                     },
                 ],
             };
-        } catch (error) {
-            this.debugLog(`❌ Failed to delete blob:`, error);
-            throw new McpError(
-                ErrorCode.InternalError,
-                `Failed to delete blob: ${error.message}`
-            );
         }
-    }
 
-    formatFileSize(bytes) {
-        if (bytes === 0) return '0 B';
-        const k = 1024;
-        const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: `📄 Documents in Workspace (${pages.length} matching, showing ${slice.length})\n\n` +
+                        `Workspace ID: ${workspaceId}\n` +
+                        `${filters.join('\n')}\n` +
+                        `Pagination: ${hasMore ? 'More available' : 'All shown'}\n\n` +
+                        slice.map((page, index) => {
+                            const tags = (page.tags || [])
+                                .map(tagId => structure.tags.find(option => option.id === tagId)?.value || tagId);
+                            return `${offset + index + 1}. ${page.title || `Document ${page.id.substring(0, 8)}`}\n` +
+                                `   • ID: ${page.id}\n` +
+                                `   • Created: ${page.createDate ? new Date(page.createDate).toLocaleString() : 'Unknown'}\n` +
+                                `   • Updated: ${page.updatedDate ? new Date(page.updatedDate).toLocaleString() : 'Unknown'}\n` +
+                                `   • Tags: ${tags.join(', ') || 'None'}`;
+                        }).join('\n\n') +
+                        (hasMore ? `\n\nNext Page Cursor: ${offset + limit}` : ''),
+                },
+            ],
+        };
     }
 
-    async listDocuments(workspaceId, limit = 50, cursor = null) {
-        this.debugLog(`📄 Listing documents in workspace ${workspaceId} (limit: ${limit})`);
+    async listDocuments(workspaceId, limit = 50, cursor = null, folderId = null, tag = null) {
+        this.debugLog(`📄 Listing documents in workspace ${workspaceId} (limit: ${limit})`, { folderId, tag });
+
+        if (folderId || tag) {
+            try {
+                return await this.listFilteredDocuments(workspaceId, limit, cursor, folderId, tag);
+            } catch (error) {
+                this.debugLog(`❌ Failed to list documents:`, error);
+                throw new McpError(
+                    ErrorCode.InternalError,
+                    `Failed to list documents: ${error.message}`
+                );
+            }
+        }
         
         const query = `
             query($workspaceId: String!, $pagination: PaginationInput!) {